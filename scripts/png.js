@@ -0,0 +1,50 @@
+// Minimal PNG encoder for 8-bit RGB images, built on Node’s zlib.
+import { deflateSync } from 'node:zlib';
+
+const crcTable = Uint32Array.from({ length: 256 }, (_, n) => {
+	let c = n;
+	for (let k = 0; k < 8; ++k) {
+		c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+	}
+	return c >>> 0;
+});
+
+function crc32(buffer) {
+	let crc = 0xffffffff;
+	for (let i = 0; i < buffer.length; ++i) {
+		crc = crcTable[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+	}
+	return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+	const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+	const length = Buffer.alloc(4);
+	length.writeUInt32BE(data.length);
+	const crc = Buffer.alloc(4);
+	crc.writeUInt32BE(crc32(typeAndData));
+	return Buffer.concat([length, typeAndData, crc]);
+}
+
+// `rgb` is a top-to-bottom, row-major array of width * height * 3 bytes.
+export function encodePng(width, height, rgb) {
+	const header = Buffer.alloc(13);
+	header.writeUInt32BE(width, 0);
+	header.writeUInt32BE(height, 4);
+	header[8] = 8; // Bit depth.
+	header[9] = 2; // Color type: RGB.
+
+	// Each scanline is prefixed with a filter type byte (0: none).
+	const rowLength = width * 3;
+	const raw = Buffer.alloc((rowLength + 1) * height);
+	for (let y = 0; y < height; ++y) {
+		raw.set(rgb.subarray(y * rowLength, (y + 1) * rowLength), y * (rowLength + 1) + 1);
+	}
+
+	return Buffer.concat([
+		Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+		chunk('IHDR', header),
+		chunk('IDAT', deflateSync(raw)),
+		chunk('IEND', Buffer.alloc(0)),
+	]);
+}
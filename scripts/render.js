@@ -0,0 +1,168 @@
+// Render a saved configuration to PNG without WebGL, using the CPU reference
+// implementation of the update step.
+//
+// Usage: npm run render -- <config> [options]
+//
+// <config> is a JSON file with the same fields as the URL hash configuration
+// (arrays for `rules` and `weights`, a list of [dx, dy] offsets for
+// `customMask`, and `passes` like DEFAULT_PASSES), or a share link / hash string.
+//
+// Options:
+//   --generations, -g  Number of generations to run (default: 100).
+//   --width, -w        Output width in pixels (default: 512).
+//   --height, -h       Output height in pixels (default: 512).
+//   --scale, -s        Size of each cell in pixels (default: 1).
+//   --every, -e        Also write a frame every N generations.
+//   --out, -o          Output path (default: render.png). Frames are numbered.
+
+import { readFileSync, existsSync, mkdirSync, writeFileSync } from 'node:fs';
+import { dirname, extname } from 'node:path';
+import { parseArgs } from 'node:util';
+
+import palettes from '../src/palettes.js';
+import { generateRules, getRuleBounds } from '../src/automaton.js';
+import { getColors } from '../src/colors.js';
+import { clampConfig, decodeConfig } from '../src/config.js';
+import { getNeighborOffsets } from '../src/neighborhoods.js';
+import { DEFAULT_PASSES, DISTRIBUTION_MAX_WEIGHT, MAX_N_RULES, MAX_N_STATES } from '../src/constants.js';
+import { runUpdates } from '../src/cpu.js';
+import { getSeedGrid } from '../src/seeding.js';
+import { createRandom } from '../src/util.js';
+import { fillWeights } from '../src/weights.js';
+import { encodePng } from './png.js';
+
+const { values, positionals } = parseArgs({
+	allowPositionals: true,
+	options: {
+		generations: { type: 'string', short: 'g', default: '100' },
+		width: { type: 'string', short: 'w', default: '512' },
+		height: { type: 'string', short: 'h', default: '512' },
+		scale: { type: 'string', short: 's', default: '1' },
+		every: { type: 'string', short: 'e' },
+		out: { type: 'string', short: 'o', default: 'render.png' },
+	},
+});
+
+function exit(message) {
+	console.error(message);
+	process.exit(1);
+}
+
+function loadConfig(source) {
+	if (!source) exit('Usage: npm run render -- <config> [options]');
+	const text = existsSync(source) ? readFileSync(source, 'utf8').trim() : source;
+	if (text.startsWith('{')) return JSON.parse(text);
+	const config = decodeConfig(text.includes('#') ? text.slice(text.indexOf('#')) : text);
+	if (!config) exit(`Could not read a configuration from ${source}`);
+	return config;
+}
+
+// Fill in anything the config leaves out the same way the browser would.
+function resolveConfig(config) {
+	config = clampConfig(config, { nStates: 8, nPalettes: palettes.length });
+	const seed = config.seed ?? 0;
+	const random = createRandom(seed);
+	const nStates = config.nStates ?? 8;
+	const neighborRange = config.neighborRange ?? 2;
+	const neighborhood = config.neighborhood ?? 'moore';
+	// JSON configs store the custom mask as a list of [dx, dy] offsets.
+	const customMask =
+		config.customMask instanceof Set
+			? config.customMask
+			: new Set((config.customMask ?? []).map(([dx, dy]) => `${dx},${dy}`));
+	const nNeighbors = getNeighborOffsets(neighborRange, neighborhood, customMask).length;
+
+	const weights = new Float32Array(MAX_N_STATES);
+	let hasOwnWeights = Boolean(config.weights);
+	let configRules = config.rules;
+	if (hasOwnWeights) {
+		weights.set(Array.from(config.weights).slice(0, MAX_N_STATES));
+		// Like the browser, weights that don’t fit in the rule table fall back to the distribution’s, with new rules.
+		if (getRuleBounds(weights, nStates, nNeighbors).nRules > MAX_N_RULES) {
+			console.warn('Too many rules, using the weight distribution instead');
+			hasOwnWeights = false;
+			configRules = undefined;
+		}
+	}
+	if (!hasOwnWeights) fillWeights(weights, config.weightsIdx ?? 0, DISTRIBUTION_MAX_WEIGHT, random, nStates);
+
+	const { minNeighborWeight, nRules } = getRuleBounds(weights, nStates, nNeighbors);
+	const rules = configRules
+		? Uint16Array.from(configRules)
+		: Uint16Array.from(generateRules(nRules, nStates, config.cellInertia ?? 0.8, random));
+
+	const paletteIdx = config.paletteIdx ?? 0;
+	const palette = config.palette ?? palettes[paletteIdx];
+	const colors = getColors(palette, MAX_N_STATES, createRandom(seed + paletteIdx), config.colorFill);
+
+	return {
+		seed,
+		nStates,
+		colors,
+		passes: config.passes ?? DEFAULT_PASSES,
+		seeding: config.seeding,
+		seedDensity: config.seedDensity,
+		options: {
+			nStates,
+			weights,
+			rules,
+			minNeighborWeight,
+			neighborRange,
+			neighborhood,
+			customMask,
+			boundary: config.boundary ?? 'wrap',
+			borderState: config.borderState ?? 0,
+		},
+	};
+}
+
+function toPng(grid, gridWidth, gridHeight, scale, colors) {
+	const width = gridWidth * scale;
+	const height = gridHeight * scale;
+	const rgb = new Uint8Array(width * height * 3);
+	for (let y = 0; y < height; ++y) {
+		// Grid row 0 is the bottom of the canvas; PNG rows go top to bottom.
+		const gridRow = gridHeight - 1 - Math.floor(y / scale);
+		for (let x = 0; x < width; ++x) {
+			const state = grid[gridRow * gridWidth + Math.floor(x / scale)];
+			const i = (y * width + x) * 3;
+			rgb[i] = Math.round(colors[state * 3] * 255);
+			rgb[i + 1] = Math.round(colors[state * 3 + 1] * 255);
+			rgb[i + 2] = Math.round(colors[state * 3 + 2] * 255);
+		}
+	}
+	return encodePng(width, height, rgb);
+}
+
+const generations = parseInt(values.generations, 10);
+const width = parseInt(values.width, 10);
+const height = parseInt(values.height, 10);
+const scale = parseInt(values.scale, 10);
+const every = values.every ? parseInt(values.every, 10) : 0;
+if (![generations, width, height, scale].every(n => Number.isInteger(n) && n >= 0) || scale < 1) {
+	exit('--generations, --width, --height and --scale must be positive integers.');
+}
+if (width % scale || height % scale) exit('--width and --height must be divisible by --scale.');
+
+const { seed, nStates, colors, passes, seeding, seedDensity, options } = resolveConfig(loadConfig(positionals[0]));
+const gridWidth = width / scale;
+const gridHeight = height / scale;
+
+const extension = extname(values.out) || '.png';
+const basePath = values.out.slice(0, values.out.length - extname(values.out).length);
+if (dirname(values.out) !== '.') mkdirSync(dirname(values.out), { recursive: true });
+const padLength = String(generations).length;
+function writeFrame(grid, generation) {
+	const path = every ? `${basePath}-${String(generation).padStart(padLength, '0')}${extension}` : values.out;
+	writeFileSync(path, toPng(grid, gridWidth, gridHeight, scale, colors));
+	console.log(`Wrote ${path}`);
+}
+
+// Seed images aren’t part of the configuration, so the image mode starts from random noise here.
+let grid = getSeedGrid(gridWidth, gridHeight, nStates, createRandom(seed), seeding, { density: seedDensity });
+if (every) writeFrame(grid, 0);
+for (let generation = 1; generation <= generations; ++generation) {
+	grid = runUpdates(grid, gridWidth, gridHeight, options, passes);
+	if (every && (generation % every === 0 || generation === generations)) writeFrame(grid, generation);
+}
+if (!every) writeFrame(grid, generations);
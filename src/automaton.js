@@ -0,0 +1,94 @@
+// Rule and grid logic shared by the GPU simulation (main.js), the CPU
+// reference implementation (cpu.js) and the headless renderer.
+
+import { getNeighborOffsets } from './neighborhoods.js';
+import { shuffleArray } from './util.js';
+
+// Find the range of possible neighbor sums for the first `nStates` weights.
+export function getRuleBounds(weights, nStates, nNeighbors) {
+	const { minWeight, maxWeight } = Array.from(weights.slice(0, nStates)).reduce(
+		(acc, weight) => {
+			if (weight < acc.minWeight) acc.minWeight = weight;
+			if (weight > acc.maxWeight) acc.maxWeight = weight;
+			return acc;
+		},
+		{ minWeight: Infinity, maxWeight: -Infinity }
+	);
+
+	const minNeighborWeight = Math.floor(minWeight * nNeighbors);
+	const maxNeighborWeight = Math.floor(maxWeight * nNeighbors);
+	return { minNeighborWeight, maxNeighborWeight, nRules: maxNeighborWeight - minNeighborWeight + 1 };
+}
+
+function generateRule(nStates, cellInertia, random) {
+	return random() < cellInertia ? 0 : Math.floor(random() * (nStates + 1));
+}
+
+// Generate a random rule array. Rules are 1-indexed; 0 means “keep the
+// current state”, and `cellInertia` is the chance of a rule being 0.
+export function generateRules(nRules, nStates, cellInertia, random = Math.random) {
+	const rules = Array.from({ length: nRules }, (_, i) => {
+		if (i < nStates && cellInertia < 1) return i + 1;
+		return generateRule(nStates, cellInertia, random);
+	});
+	shuffleArray(rules, random);
+	return rules;
+}
+
+// Make a slightly different copy of a rule set. `options` are update options
+// like those passed to cpu.js. Each weight moves by up to `weightAmount` of
+// `weightScale` (staying within `maxWeight`), keeping each sum’s rule when the
+// bounds move, then roughly `ruleFraction` of the rules (other than
+// `lockedSums`) are rerolled. Returns new options with the mutated `weights`,
+// `rules` and `minNeighborWeight`.
+export function mutateRuleSet(
+	options,
+	{ ruleFraction, weightAmount = 0, maxWeight, weightScale = maxWeight, cellInertia, lockedSums = new Set() },
+	random = Math.random
+) {
+	const { nStates, weights, rules, neighborRange, neighborhood, customMask } = options;
+	const nNeighbors = getNeighborOffsets(neighborRange, neighborhood, customMask).length;
+	const { minNeighborWeight } = getRuleBounds(weights, nStates, nNeighbors);
+
+	const newWeights = Float32Array.from(weights);
+	if (weightAmount > 0) {
+		// Only allow negative weights if there already are some.
+		const minWeight = Math.min(0, ...newWeights.subarray(0, nStates));
+		for (let i = 0; i < nStates; ++i) {
+			const weight = newWeights[i] + (random() * 2 - 1) * weightAmount * weightScale;
+			newWeights[i] = Math.max(minWeight, Math.min(maxWeight, weight));
+		}
+	}
+
+	const { minNeighborWeight: newMinNeighborWeight, nRules } = getRuleBounds(newWeights, nStates, nNeighbors);
+	const newRules = Uint16Array.from({ length: nRules }, (_, ruleIdx) => {
+		const sum = ruleIdx + newMinNeighborWeight;
+		const previousRule = rules[sum - minNeighborWeight];
+		if (lockedSums.has(sum) && previousRule !== undefined) return previousRule;
+		if (previousRule === undefined || random() < ruleFraction) return generateRule(nStates, cellInertia, random);
+		return previousRule;
+	});
+	return { ...options, weights: newWeights, rules: newRules, minNeighborWeight: newMinNeighborWeight };
+}
+
+// Merge a pass’s overrides into the shared update options. A pass with its own
+// `weights` and `rules` gets its own rule bounds, computed from its neighborhood.
+export function resolvePassOptions(pass, options) {
+	const neighborhood = pass.neighborhood ?? options.neighborhood;
+	if (!pass.rules || !pass.weights) return { ...options, neighborhood };
+
+	const nNeighbors = getNeighborOffsets(options.neighborRange, neighborhood, options.customMask).length;
+	const { minNeighborWeight } = getRuleBounds(pass.weights, options.nStates, nNeighbors);
+	return { ...options, neighborhood, weights: pass.weights, rules: pass.rules, minNeighborWeight };
+}
+
+export function getRandomGrid(width, height, nStates, random = Math.random) {
+	const size = width * height;
+	const data = new Uint16Array(size);
+	for (let i = 0; i < size; ++i) {
+		// Generate a random state.
+		const state = Math.floor(random() * nStates);
+		data[i] = state;
+	}
+	return data;
+}
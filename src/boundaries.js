@@ -0,0 +1,13 @@
+// What cells past the edges of the grid look like to their neighbors. Each
+// `wrap` maps a texture coordinate along one axis to [0, 1], or to NaN for
+// cells outside the grid, which read as the border state. Only grids that wrap
+// around tile seamlessly. Keep in sync with `getState` in the update shader,
+// which receives the index into BOUNDARY_NAMES.
+export const boundaries = {
+	wrap: { label: 'Wrap around', tiles: true, wrap: coord => coord - Math.floor(coord) },
+	clamp: { label: 'Clamp to edge', tiles: false, wrap: coord => Math.min(1, Math.max(0, coord)) },
+	mirror: { label: 'Mirror', tiles: false, wrap: coord => 1 - Math.abs(1 - (coord - Math.floor(coord / 2) * 2)) },
+	fixed: { label: 'Fixed border', tiles: false, wrap: coord => (coord >= 0 && coord < 1 ? coord : NaN) },
+};
+
+export const BOUNDARY_NAMES = Object.keys(boundaries);
@@ -0,0 +1,150 @@
+// Interactive evolution. Mutated children of the current rule set run side by
+// side as small CPU simulations (see cpu.js); picking one makes it the parent
+// of the next generation. Every parent is kept in a lineage, so it’s possible
+// to step back up the family tree.
+
+import { runUpdates } from './cpu.js';
+
+const N_CHILDREN = 6;
+const CHILD_SIZE = 64;
+// Milliseconds per frame spent stepping children, so the main simulation keeps running smoothly.
+const FRAME_BUDGET = 8;
+
+// Wire up the breeding overlay. `getParent` returns the current
+// { options, passes, colors }, where `options` are update options like those
+// passed to cpu.js, and `getInitialGrid(width, height)` seeds a grid the same
+// way as the main simulation. `mutate` is called with parent options and the
+// mutation settings, and returns child options. `onPick` is called with the
+// chosen child’s options, and `onStepBack` with a lineage entry to return to.
+// `getSnapshot` returns a { config, thumbnail } lineage entry for the current
+// rule set.
+export function createBreeding({ container, getParent, getInitialGrid, mutate, onPick, onStepBack, getSnapshot }) {
+	const settings = { ruleFraction: 0.1, weightAmount: 0 };
+	const childList = container.querySelector('.breeding-children');
+	const lineageList = container.querySelector('.breeding-lineage');
+	let lineage = [];
+	let children = [];
+	let nextChildIdx = 0;
+
+	container.querySelectorAll('.breeding-settings input').forEach(input => {
+		const key = input.name;
+		input.value = settings[key] * 100;
+		input.addEventListener('change', () => {
+			const percentage = Number(input.value);
+			if (input.value !== '' && percentage >= 0 && percentage <= 100) settings[key] = percentage / 100;
+			input.value = settings[key] * 100;
+		});
+	});
+
+	function drawChild(child, colors) {
+		const { data } = child.imageData;
+		for (let i = 0; i < child.grid.length; ++i) {
+			// Grid row 0 is the bottom of the canvas; image rows go top to bottom.
+			const x = i % CHILD_SIZE;
+			const y = CHILD_SIZE - 1 - Math.floor(i / CHILD_SIZE);
+			const offset = (y * CHILD_SIZE + x) * 4;
+			const state = child.grid[i];
+			data[offset] = colors[state * 3] * 255;
+			data[offset + 1] = colors[state * 3 + 1] * 255;
+			data[offset + 2] = colors[state * 3 + 2] * 255;
+			data[offset + 3] = 255;
+		}
+		child.context.putImageData(child.imageData, 0, 0);
+	}
+
+	// Breed a new set of children from the current rule set. They all start
+	// from the same grid, so the differences come from the rules.
+	function breed() {
+		const { options } = getParent();
+		const grid = getInitialGrid(CHILD_SIZE, CHILD_SIZE);
+		children = Array.from({ length: N_CHILDREN }, (_, idx) => {
+			const canvas = document.createElement('canvas');
+			canvas.width = canvas.height = CHILD_SIZE;
+			canvas.setAttribute('aria-label', `Child ${idx + 1}`);
+			const context = canvas.getContext('2d');
+			const child = {
+				options: mutate(options, settings),
+				grid,
+				canvas,
+				context,
+				imageData: context.createImageData(CHILD_SIZE, CHILD_SIZE),
+			};
+			canvas.addEventListener('click', () => pick(child));
+			return child;
+		});
+		childList.replaceChildren(
+			...children.map(({ canvas }) => {
+				const item = document.createElement('li');
+				item.append(canvas);
+				return item;
+			})
+		);
+	}
+
+	function renderLineage() {
+		lineageList.replaceChildren(
+			...lineage.map((entry, idx) => {
+				const item = document.createElement('li');
+				const thumbnail = document.createElement('img');
+				thumbnail.src = entry.thumbnail;
+				thumbnail.alt = `Generation ${idx + 1}`;
+				thumbnail.title = `Go back to generation ${idx + 1}`;
+				thumbnail.addEventListener('click', () => stepBack(idx));
+				item.append(thumbnail);
+				return item;
+			})
+		);
+	}
+
+	function recordAncestor() {
+		lineage.push(getSnapshot());
+		renderLineage();
+	}
+
+	function pick(child) {
+		recordAncestor();
+		onPick(child.options);
+		breed();
+	}
+
+	// Return to the ancestor at `idx`, forgetting it and its descendants.
+	function stepBack(idx = lineage.length - 1) {
+		const entry = lineage[idx];
+		if (!entry) return false;
+		lineage = lineage.slice(0, idx);
+		renderLineage();
+		onStepBack(entry);
+		if (container.classList.contains('show')) breed();
+		return true;
+	}
+
+	container.querySelector('[data-action="breed"]').addEventListener('click', breed);
+	container.querySelector('[data-action="back"]').addEventListener('click', () => stepBack());
+	container.querySelector('[data-action="close"]').addEventListener('click', () => {
+		container.classList.remove('show');
+	});
+
+	return {
+		settings,
+		recordAncestor,
+		stepBack,
+		// Call once per frame. Steps the children in turn until the frame budget runs out.
+		update() {
+			if (!container.classList.contains('show') || !children.length) return;
+			const { passes, colors } = getParent();
+			const start = performance.now();
+			for (let i = 0; i < N_CHILDREN && performance.now() - start < FRAME_BUDGET; ++i) {
+				const child = children[nextChildIdx];
+				nextChildIdx = (nextChildIdx + 1) % N_CHILDREN;
+				child.grid = runUpdates(child.grid, CHILD_SIZE, CHILD_SIZE, child.options, passes);
+				drawChild(child, colors);
+			}
+		},
+		toggle() {
+			if (container.classList.toggle('show')) breed();
+		},
+		hide() {
+			container.classList.remove('show');
+		},
+	};
+}
@@ -0,0 +1,36 @@
+// What the simulation needs from the GPU, beyond WebGL2 itself. The lookup
+// tables are textures, so they don’t depend on any uniform limits, but the
+// cells and their history live in integer textures that have to be renderable.
+
+// Whether a framebuffer with a texture of this format attached can be rendered to.
+function canRenderTo(gl, internalFormat, format, type) {
+	const texture = gl.createTexture();
+	gl.bindTexture(gl.TEXTURE_2D, texture);
+	gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, 1, 1, 0, format, type, null);
+	const framebuffer = gl.createFramebuffer();
+	gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+	gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+	const isComplete = gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE;
+	gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+	gl.bindTexture(gl.TEXTURE_2D, null);
+	gl.deleteFramebuffer(framebuffer);
+	gl.deleteTexture(texture);
+	return isComplete;
+}
+
+// A readable list of what’s missing from `gl`, which is empty if the
+// simulation can run. `gl` is null if no WebGL2 context could be created.
+export function getMissingCapabilities(gl) {
+	if (!gl) {
+		return ['WebGL2 isn’t available. Your browser may not support it, or it may be turned off for your graphics card.'];
+	}
+
+	const missing = [];
+	if (!canRenderTo(gl, gl.R16UI, gl.RED_INTEGER, gl.UNSIGNED_SHORT)) {
+		missing.push('Your graphics card can’t render to 16-bit integer textures, which hold the cell states.');
+	}
+	if (!canRenderTo(gl, gl.RGBA16UI, gl.RGBA_INTEGER, gl.UNSIGNED_SHORT)) {
+		missing.push('Your graphics card can’t render to four-channel integer textures, which hold the cell history.');
+	}
+	return missing;
+}
@@ -0,0 +1,95 @@
+import { hexToNormalizedRGB } from './util.js';
+
+// Ways to fill the states past the end of a palette.
+export const colorFills = {
+	repeat: { label: 'Repeat' },
+	jitter: { label: 'Repeat with jitter' },
+	gradient: { label: 'OKLab gradient' },
+	hue: { label: 'Hue rotation' },
+};
+
+export const COLOR_FILL_NAMES = Object.keys(colorFills);
+
+function toLinear(component) {
+	return component <= 0.04045 ? component / 12.92 : Math.pow((component + 0.055) / 1.055, 2.4);
+}
+
+function fromLinear(component) {
+	const srgb = component <= 0.0031308 ? component * 12.92 : 1.055 * Math.pow(component, 1 / 2.4) - 0.055;
+	return Math.max(0, Math.min(1, srgb));
+}
+
+// Convert between normalized sRGB and OKLab. See https://bottosson.github.io/posts/oklab/
+function rgbToOklab(rgb) {
+	const [r, g, b] = rgb.map(toLinear);
+	const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+	const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+	const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+	return [
+		0.2104542553 * l + 0.793617785 * m - 0.0040720468 * s,
+		1.9779984951 * l - 2.428592205 * m + 0.4505937099 * s,
+		0.0259040371 * l + 0.7827717662 * m - 0.808675766 * s,
+	];
+}
+
+function oklabToRgb([L, a, b]) {
+	const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+	const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+	const s = Math.pow(L - 0.0894841775 * a - 1.291485548 * b, 3);
+	return [
+		4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+		-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+		-0.0041960863 * l - 0.7034186147 * m + 1.707614701 * s,
+	].map(fromLinear);
+}
+
+// 1/2, 1/4, 3/4, 1/8, 5/8…: each value lands as far as possible from the previous ones.
+function vanDerCorput(n) {
+	let result = 0;
+	for (let denominator = 2; n; denominator *= 2, n = Math.floor(n / 2)) {
+		result += (n % 2) / denominator;
+	}
+	return result;
+}
+
+// The color of extra state `i`, on the `round`th pass through the palette.
+function getExtraColor(normalizedPalette, i, round, colorFill, random) {
+	const rgb = normalizedPalette[i % normalizedPalette.length];
+	if (colorFill === 'jitter') {
+		return rgb.map(component => Math.max(0, Math.min(1, component + random() * 0.1 - 0.05)));
+	}
+	if (colorFill === 'gradient') {
+		// Blend towards the next palette color, filling in between the earlier blends.
+		const from = rgbToOklab(rgb);
+		const to = rgbToOklab(normalizedPalette[(i + 1) % normalizedPalette.length]);
+		const t = vanDerCorput(round);
+		return oklabToRgb(from.map((component, j) => component + (to[j] - component) * t));
+	}
+	if (colorFill === 'hue') {
+		// Rotate around the OKLab lightness axis by the golden angle, so rounds stay distinct.
+		const [L, a, b] = rgbToOklab(rgb);
+		const angle = round * 2.39996323;
+		return oklabToRgb([L, a * Math.cos(angle) - b * Math.sin(angle), a * Math.sin(angle) + b * Math.cos(angle)]);
+	}
+	return rgb;
+}
+
+// Expand a palette of hex colors into a flat array of `length` normalized RGB
+// triplets. States past the end of the palette are filled according to
+// `colorFill`; see `colorFills`. Only the jitter uses `random`.
+export function getColors(palette, length, random = Math.random, colorFill = 'jitter') {
+	const colors = new Float32Array(length * 3);
+	const normalizedPalette = palette.map(hexToNormalizedRGB);
+	for (let i = 0; i < length; ++i) {
+		const round = Math.floor(i / normalizedPalette.length);
+		const rgbComponents = round ? getExtraColor(normalizedPalette, i, round, colorFill, random) : normalizedPalette[i];
+		colors.set(rgbComponents, i * 3);
+	}
+	return colors;
+}
+
+// Read the color of `state` from an array returned by `getColors`, as CSS.
+export function getCssColor(colors, state) {
+	const [r, g, b] = colors.slice(state * 3, state * 3 + 3).map(component => Math.round(component * 255));
+	return `rgb(${r}, ${g}, ${b})`;
+}
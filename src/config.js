@@ -0,0 +1,193 @@
+// Serializes the full simulation configuration to a compact string that can
+// live in the URL hash, and reads it back. Typed arrays are stored as base64url
+// bytes so that weights round-trip exactly and the run can be reproduced. Rule
+// tables are one byte per rule, unless a rule needs more (with over 255
+// states), in which case they’re stored as little-endian 16-bit `wideRules`.
+
+import { BOUNDARY_NAMES } from './boundaries.js';
+import { COLOR_FILL_NAMES } from './colors.js';
+import { MAX_DENSITY, MAX_N_STATES, MAX_NEIGHBOR_RANGE, MAX_WEIGHT, MIN_DENSITY } from './constants.js';
+import { NEIGHBORHOOD_NAMES, bytesToMask, maskToBytes } from './neighborhoods.js';
+import { isValidPalette } from './palettes.js';
+import { SEEDING_MODE_NAMES } from './seeding.js';
+import { weightDistributions } from './weights.js';
+
+function bytesToBase64Url(bytes) {
+	let binary = '';
+	for (let i = 0; i < bytes.length; ++i) {
+		binary += String.fromCharCode(bytes[i]);
+	}
+	return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(string) {
+	const binary = atob(string.replace(/-/g, '+').replace(/_/g, '/'));
+	return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+function isValidPass(pass) {
+	return (
+		pass &&
+		Number.isFinite(pass.gridSize) &&
+		pass.gridSize > 0 &&
+		(pass.neighborhood === undefined || NEIGHBORHOOD_NAMES.includes(pass.neighborhood)) &&
+		Array.isArray(pass.offset) &&
+		pass.offset.length === 2 &&
+		pass.offset.every(Number.isFinite)
+	);
+}
+
+// Passes are stored as base64url JSON, with their own weights and rules (if
+// any) as plain arrays.
+function encodePasses(passes) {
+	const json = JSON.stringify(
+		passes.map(pass => ({
+			...pass,
+			weights: pass.weights && Array.from(pass.weights),
+			rules: pass.rules && Array.from(pass.rules),
+		}))
+	);
+	return bytesToBase64Url(Uint8Array.from(json, char => char.charCodeAt(0)));
+}
+
+function decodePasses(string) {
+	const passes = JSON.parse(Array.from(base64UrlToBytes(string), byte => String.fromCharCode(byte)).join(''));
+	if (!Array.isArray(passes) || !passes.length || !passes.every(isValidPass)) return undefined;
+	return passes.map(pass => ({
+		...pass,
+		weights: pass.weights && Float32Array.from(pass.weights),
+		rules: pass.rules && Uint16Array.from(pass.rules),
+	}));
+}
+
+function parseNumber(value) {
+	if (value === null || value === '') return undefined;
+	const number = Number(value);
+	return Number.isFinite(number) ? number : undefined;
+}
+
+function clamp(value, min, max) {
+	return value === undefined ? undefined : Math.max(min, Math.min(max, value));
+}
+
+function clampInteger(value, min, max) {
+	return clamp(value === undefined ? undefined : Math.round(value), min, max);
+}
+
+// Weights decoded from raw bytes can also be NaN, which is read as 0.
+function clampWeights(weights) {
+	return weights && Float32Array.from(weights, weight => clamp(weight || 0, -MAX_WEIGHT, MAX_WEIGHT));
+}
+
+// Keep the numbers in a configuration within the ranges the controls allow,
+// since shared links can hold anything, and eg. a huge neighbor range would
+// hang the GPU. `nStates` bounds the border state when the config doesn’t set
+// its own number of states, and palette indices wrap around `nPalettes`.
+// Whether the weights fit in the rule table is left to the caller, since that
+// depends on the rest of its state.
+export function clampConfig(config, { nStates, nPalettes }) {
+	const clampedNStates = clampInteger(config.nStates, 2, MAX_N_STATES);
+	const paletteIdx = config.paletteIdx === undefined ? undefined : Math.round(config.paletteIdx);
+	const isValidPasses = Array.isArray(config.passes) && config.passes.length && config.passes.every(isValidPass);
+	return {
+		...config,
+		paletteIdx: paletteIdx === undefined ? undefined : ((paletteIdx % nPalettes) + nPalettes) % nPalettes,
+		weights: clampWeights(config.weights),
+		passes: isValidPasses ? config.passes.map(pass => ({ ...pass, weights: clampWeights(pass.weights) })) : undefined,
+		nStates: clampedNStates,
+		neighborRange: clampInteger(config.neighborRange, 1, MAX_NEIGHBOR_RANGE),
+		borderState: clampInteger(config.borderState, 0, (clampedNStates ?? nStates) - 1),
+		weightsIdx: clampInteger(config.weightsIdx, 0, weightDistributions.length - 1),
+		cellInertia: clamp(config.cellInertia, 0, 1),
+		density: clamp(config.density, MIN_DENSITY, MAX_DENSITY),
+		seedDensity: clamp(config.seedDensity, 0.01, 1),
+	};
+}
+
+export function encodeConfig(config) {
+	const params = new URLSearchParams({
+		seed: config.seed,
+		states: config.nStates,
+		inertia: config.cellInertia,
+		range: config.neighborRange,
+		hood: config.neighborhood,
+		edges: config.boundary,
+		border: config.borderState,
+		palette: config.paletteIdx,
+		fill: config.colorFill,
+		density: config.density,
+		dist: config.weightsIdx,
+		seeding: config.seeding,
+		seedDensity: config.seedDensity,
+		weights: bytesToBase64Url(new Uint8Array(Float32Array.from(config.weights).buffer)),
+	});
+	if (Array.from(config.rules).every(rule => rule <= 0xff)) {
+		params.set('rules', bytesToBase64Url(Uint8Array.from(config.rules)));
+	} else {
+		params.set('wideRules', bytesToBase64Url(new Uint8Array(Uint16Array.from(config.rules).buffer)));
+	}
+	// Custom or edited palettes are stored in full, since they aren’t in everyone’s palette list.
+	if (config.palette) params.set('colors', config.palette.map(hex => hex.slice(1)).join('-'));
+	if (config.passes) params.set('passes', encodePasses(config.passes));
+	if (config.neighborhood === 'custom') {
+		params.set('mask', bytesToBase64Url(maskToBytes(config.customMask, config.neighborRange)));
+	}
+	return params.toString();
+}
+
+// Returns null if the string doesn’t contain a configuration. Missing fields
+// are left undefined so the caller can fall back to its current values.
+export function decodeConfig(string) {
+	const params = new URLSearchParams(string.replace(/^#/, ''));
+	const seed = parseNumber(params.get('seed'));
+	if (seed === undefined) return null;
+
+	const config = {
+		seed: seed >>> 0,
+		nStates: parseNumber(params.get('states')),
+		cellInertia: parseNumber(params.get('inertia')),
+		neighborRange: parseNumber(params.get('range')),
+		neighborhood: NEIGHBORHOOD_NAMES.includes(params.get('hood')) ? params.get('hood') : undefined,
+		boundary: BOUNDARY_NAMES.includes(params.get('edges')) ? params.get('edges') : undefined,
+		borderState: parseNumber(params.get('border')),
+		paletteIdx: parseNumber(params.get('palette')),
+		colorFill: COLOR_FILL_NAMES.includes(params.get('fill')) ? params.get('fill') : undefined,
+		density: parseNumber(params.get('density')),
+		weightsIdx: parseNumber(params.get('dist')),
+		seeding: SEEDING_MODE_NAMES.includes(params.get('seeding')) ? params.get('seeding') : undefined,
+		seedDensity: parseNumber(params.get('seedDensity')),
+	};
+
+	if (params.get('colors')) {
+		const palette = params
+			.get('colors')
+			.split('-')
+			.map(hex => `#${hex.toLowerCase()}`);
+		if (isValidPalette(palette)) config.palette = palette;
+	}
+
+	try {
+		if (params.get('weights')) {
+			const bytes = base64UrlToBytes(params.get('weights'));
+			config.weights = new Float32Array(bytes.buffer, 0, Math.floor(bytes.length / 4));
+		}
+		if (params.get('rules')) {
+			config.rules = Uint16Array.from(base64UrlToBytes(params.get('rules')));
+		}
+		if (params.get('wideRules')) {
+			const bytes = base64UrlToBytes(params.get('wideRules'));
+			config.rules = new Uint16Array(bytes.buffer, 0, Math.floor(bytes.length / 2));
+		}
+		if (params.get('passes')) {
+			config.passes = decodePasses(params.get('passes'));
+		}
+		if (params.get('mask')) {
+			config.customMask = bytesToMask(base64UrlToBytes(params.get('mask')));
+		}
+	} catch (e) {
+		// Malformed base64 or JSON; ignore the lookup tables and keep the rest.
+		console.error('Could not decode configuration:', e);
+	}
+
+	return config;
+}
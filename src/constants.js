@@ -0,0 +1,25 @@
+// Configurable. The lookup tables are textures, so these are only limited by
+// the 16-bit state and history textures, and by how fast the GPU is.
+// Heavier weights widen the rule table, which `fitsRuleTable()` in main.js
+// keeps within MAX_N_RULES. This only limits edited and shared weights.
+export const MAX_WEIGHT = 4;
+// The scale of the preset weight distributions in weights.js and of the weight
+// jitter when breeding, so a distribution index keeps giving the same weights.
+export const DISTRIBUTION_MAX_WEIGHT = 1.5;
+export const MAX_N_STATES = 1024;
+export const MAX_NEIGHBOR_RANGE = 32;
+// The resolution multiplier’s range, which the density control steps through in powers of two.
+export const MIN_DENSITY = 1 / 32;
+export const MAX_DENSITY = 2;
+// The rule table’s length. The display history stores rule indices + 1 in 16 bits.
+export const MAX_N_RULES = 65535;
+
+// The default update passes. Each pass runs the update shader once per frame.
+// `gridSize` is the distance between neighbors, in pixels. `offset` is
+// multiplied by the canvas resolution and added to the sampling coordinates.
+// Passes can also override the `neighborhood`, and have their own `weights`
+// and `rules`; see automaton.js.
+export const DEFAULT_PASSES = [
+	{ gridSize: 1, offset: [0, 0] },
+	{ gridSize: 1, offset: [0.25, 0.25] },
+];
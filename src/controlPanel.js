@@ -0,0 +1,107 @@
+// The on-screen control panel, built from a declarative list of sections:
+//
+//   { heading: 'Colors', controls: [...] }
+//
+// Each control is one of:
+//
+//   { type: 'stepper', label, value: () => text, onDecrement, onIncrement }
+//   { type: 'range', label, min, max, step, value: () => number, format: number => text, onInput: number => {} }
+//   { type: 'button', label: text | () => text, onClick }
+//
+// Values are read through functions, and `update()` refreshes them, so the
+// panel stays in sync however the state was changed.
+
+import { createButton } from './util.js';
+
+export function createControlPanel({ container, toggleButton, sections }) {
+	// Each updater refreshes one live value, and only touches the DOM when it changed.
+	const updaters = [];
+	function addUpdater(getValue, apply) {
+		let lastValue;
+		updaters.push(() => {
+			const value = getValue();
+			if (value === lastValue) return;
+			lastValue = value;
+			apply(value);
+		});
+	}
+
+	function createControl(control) {
+		const row = document.createElement('div');
+		row.className = `control control-${control.type}`;
+
+		if (control.type === 'button') {
+			const button = createButton('', () => {
+				control.onClick();
+				update();
+			});
+			addUpdater(
+				() => (typeof control.label === 'function' ? control.label() : control.label),
+				label => {
+					button.textContent = label;
+				}
+			);
+			row.append(button);
+			return row;
+		}
+
+		const label = document.createElement('span');
+		label.className = 'control-label';
+		label.textContent = control.label;
+		const output = document.createElement('output');
+		row.append(label);
+
+		if (control.type === 'stepper') {
+			row.append(
+				createButton('−', () => {
+					control.onDecrement();
+					update();
+				}),
+				output,
+				createButton('+', () => {
+					control.onIncrement();
+					update();
+				})
+			);
+			addUpdater(control.value, value => {
+				output.textContent = value;
+			});
+		} else if (control.type === 'range') {
+			const input = document.createElement('input');
+			Object.assign(input, { type: 'range', min: control.min, max: control.max, step: control.step });
+			input.addEventListener('input', () => {
+				control.onInput(Number(input.value));
+				update();
+			});
+			row.append(input, output);
+			addUpdater(control.value, value => {
+				input.value = value;
+				output.textContent = control.format ? control.format(value) : value;
+			});
+		}
+		return row;
+	}
+
+	container.replaceChildren(
+		...sections.map(({ heading, controls }) => {
+			const section = document.createElement('section');
+			const title = document.createElement('h2');
+			title.textContent = heading;
+			section.append(title, ...controls.map(createControl));
+			return section;
+		})
+	);
+
+	function update() {
+		if (container.classList.contains('show')) updaters.forEach(updater => updater());
+	}
+
+	function toggle() {
+		const isOpen = container.classList.toggle('show');
+		toggleButton.setAttribute('aria-expanded', isOpen);
+		update();
+	}
+	toggleButton.addEventListener('click', toggle);
+
+	return { update, toggle };
+}
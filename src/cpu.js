@@ -0,0 +1,98 @@
+// A pure-JS reference implementation of the update fragment shader in main.js.
+//
+// It follows the shader’s semantics exactly: texture coordinates are taken at
+// pixel centers, wrapped at the edges (see boundaries.js) and sampled with
+// NEAREST filtering; the neighbor sum is accumulated in 32-bit floats and
+// floored; rules are 1-indexed, with 0 meaning “keep the current state”. It
+// can be used as a correctness oracle for the shader, or as a fallback engine
+// without a GPU. The shader sums large square neighborhoods a row at a time
+// instead (see `MIN_SEPARABLE_RANGE` in main.js), but only when the weights
+// make every sum exact, so the order of the additions doesn’t change the
+// result.
+//
+// Grids are row-major Uint16Arrays of states, with row 0 at the bottom (the
+// same layout as the data uploaded to the state textures).
+
+import { resolvePassOptions } from './automaton.js';
+import { boundaries } from './boundaries.js';
+import { getNeighborOffsets } from './neighborhoods.js';
+
+// Map each destination pixel along one axis to the source pixel that the
+// shader would sample for a given neighbor offset, or -1 for the border.
+function getSourceIndices(size, gridSize, canvasOffset, delta, wrap = boundaries.wrap.wrap) {
+	const offset = size * canvasOffset;
+	const onePixel = gridSize / size;
+	return Int32Array.from({ length: size }, (_, i) => {
+		const coord = wrap((i + 0.5) / size + offset + delta * onePixel);
+		return Number.isNaN(coord) ? -1 : Math.min(size - 1, Math.floor(coord * size));
+	});
+}
+
+// Call `callback(i, state, sum)` for every cell, where `sum` is its floored
+// neighbor sum.
+function forEachNeighborSum(grid, width, height, options, gridSize, offset, callback) {
+	const { weights, neighborRange, neighborhood = 'moore', customMask, boundary = 'wrap', borderState = 0 } = options;
+	const offsets = getNeighborOffsets(neighborRange, neighborhood, customMask);
+	const weights32 = Float32Array.from(weights);
+	const { wrap } = boundaries[boundary] ?? boundaries.wrap;
+
+	const columnCache = new Map();
+	const rowCache = new Map();
+	const columns = offsets.map(([dx]) => {
+		if (!columnCache.has(dx)) columnCache.set(dx, getSourceIndices(width, gridSize, offset[0], dx, wrap));
+		return columnCache.get(dx);
+	});
+	const rows = offsets.map(([, dy]) => {
+		if (!rowCache.has(dy)) rowCache.set(dy, getSourceIndices(height, gridSize, offset[1], dy, wrap));
+		return rowCache.get(dy);
+	});
+	const centerColumns = getSourceIndices(width, 1, 0, 0);
+	const centerRows = getSourceIndices(height, 1, 0, 0);
+
+	for (let y = 0; y < height; ++y) {
+		for (let x = 0; x < width; ++x) {
+			const state = grid[centerRows[y] * width + centerColumns[x]];
+
+			let sum = 0;
+			for (let i = 0; i < offsets.length; ++i) {
+				const row = rows[i][y];
+				const column = columns[i][x];
+				const neighborState = row < 0 || column < 0 ? borderState : grid[row * width + column];
+				sum = Math.fround(sum + weights32[neighborState]);
+			}
+			callback(y * width + x, state, Math.floor(sum));
+		}
+	}
+}
+
+// Run a single update pass. `gridSize` and `offset` match the fields of each
+// pass in `DEFAULT_PASSES`.
+export function step(grid, width, height, options, gridSize = 1, offset = [0, 0]) {
+	const { rules, minNeighborWeight } = options;
+	const nextGrid = new Uint16Array(width * height);
+	forEachNeighborSum(grid, width, height, options, gridSize, offset, (i, state, sum) => {
+		const newState = rules[sum - minNeighborWeight] ?? 0; // Out of range sums keep their state.
+		nextGrid[i] = newState === 0 ? state : newState - 1;
+	});
+	return nextGrid;
+}
+
+// Count how many cells have each neighbor sum, ie. how often each rule is hit
+// by a pass. Returns a Map of sum => count.
+export function countNeighborSums(grid, width, height, options, gridSize = 1, offset = [0, 0]) {
+	const counts = new Map();
+	forEachNeighborSum(grid, width, height, options, gridSize, offset, (i, state, sum) => {
+		counts.set(sum, (counts.get(sum) ?? 0) + 1);
+	});
+	return counts;
+}
+
+// Run every pass once, in order, like a single frame of `render()`. `options`
+// must include `nStates` if any pass has its own rules.
+export function runUpdates(grid, width, height, options, passes = [{ gridSize: 1, offset: [0, 0] }]) {
+	return passes.reduce(
+		(currentGrid, pass) =>
+			step(currentGrid, width, height, resolvePassOptions(pass, options), pass.gridSize, pass.offset),
+		grid
+	);
+}
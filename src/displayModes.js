@@ -0,0 +1,17 @@
+// What the display shows for each cell. Every mode except `states` is drawn
+// from a history texture that’s updated once per generation, and only while
+// the mode is in use. Keep in sync with the display shader, which receives the
+// index into DISPLAY_MODE_NAMES.
+export const displayModes = {
+	states: { label: 'States' },
+	// Cells are darker the longer they’ve kept their state.
+	age: { label: 'Cell age' },
+	// Each cell’s color is blended with its previous colors.
+	trails: { label: 'Trails' },
+	// How often each cell has changed recently, from black to white.
+	heatmap: { label: 'Change heatmap' },
+	// The rule table entry each cell hit in the first pass, as a rainbow from the lowest neighbor sum to the highest.
+	rules: { label: 'Rule index' },
+};
+
+export const DISPLAY_MODE_NAMES = Object.keys(displayModes);
@@ -0,0 +1,135 @@
+// A persistent library of saved configurations, stored in localStorage.
+//
+// Each entry holds the encoded configuration string (the same format as the
+// URL hash), a name and a thumbnail data URL.
+
+import { downloadBlob } from './util.js';
+
+const STORAGE_KEY = 'ca-finder-favorites';
+
+function isValidEntry(entry) {
+	return entry && typeof entry.config === 'string' && typeof entry.name === 'string';
+}
+
+export function loadFavorites() {
+	try {
+		const entries = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? '[]');
+		return Array.isArray(entries) ? entries.filter(isValidEntry) : [];
+	} catch (e) {
+		console.error('Could not read favorites:', e);
+		return [];
+	}
+}
+
+export function saveFavorites(entries) {
+	try {
+		localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+		return true;
+	} catch (e) {
+		// Most likely the storage quota was exceeded by thumbnails.
+		console.error('Could not save favorites:', e);
+		return false;
+	}
+}
+
+// Wire up the favorites overlay. `onLoad` is called with an entry when the
+// user picks one, and `onError` with a message when something goes wrong.
+export function createFavorites({ container, onLoad, onError }) {
+	let entries = loadFavorites();
+	const list = container.querySelector('.favorites-list');
+	const emptyMessage = container.querySelector('.favorites-empty');
+	const importInput = container.querySelector('input[type="file"]');
+
+	// Returns false if the entries couldn’t be saved.
+	function persist() {
+		if (saveFavorites(entries)) return true;
+		onError('Could not save favorites');
+		return false;
+	}
+
+	function renderList() {
+		list.replaceChildren(
+			...entries.map(entry => {
+				const item = document.createElement('li');
+
+				const thumbnail = document.createElement('img');
+				thumbnail.src = entry.thumbnail ?? '';
+				thumbnail.alt = '';
+				thumbnail.addEventListener('click', () => onLoad(entry));
+
+				const nameInput = document.createElement('input');
+				nameInput.value = entry.name;
+				nameInput.setAttribute('aria-label', 'Name');
+				nameInput.addEventListener('change', () => {
+					entry.name = nameInput.value.trim() || entry.name;
+					nameInput.value = entry.name;
+					persist();
+				});
+
+				const loadButton = document.createElement('button');
+				loadButton.textContent = 'Load';
+				loadButton.addEventListener('click', () => onLoad(entry));
+
+				const deleteButton = document.createElement('button');
+				deleteButton.textContent = 'Delete';
+				deleteButton.addEventListener('click', () => {
+					entries = entries.filter(other => other !== entry);
+					persist();
+					renderList();
+				});
+
+				item.append(thumbnail, nameInput, loadButton, deleteButton);
+				return item;
+			})
+		);
+		emptyMessage.classList.toggle('show', !entries.length);
+	}
+
+	container.querySelector('[data-action="export"]').addEventListener('click', () => {
+		const blob = new Blob([JSON.stringify(entries, null, '\t')], { type: 'application/json' });
+		downloadBlob(blob, 'ca-finder-favorites.json');
+	});
+	container.querySelector('[data-action="close"]').addEventListener('click', () => {
+		container.classList.remove('show');
+	});
+	importInput.addEventListener('change', async () => {
+		const [file] = importInput.files;
+		importInput.value = '';
+		if (!file) return;
+		try {
+			const imported = JSON.parse(await file.text());
+			const newEntries = (Array.isArray(imported) ? imported : []).filter(isValidEntry);
+			if (!newEntries.length) throw new Error('No favorites found in file');
+			const existingConfigs = new Set(entries.map(entry => entry.config));
+			entries.push(...newEntries.filter(entry => !existingConfigs.has(entry.config)));
+			persist();
+			renderList();
+		} catch (e) {
+			console.error('Could not import favorites:', e);
+			onError('Could not import favorites');
+		}
+	});
+
+	renderList();
+
+	return {
+		// Returns false if the entry couldn’t be saved, in which case it’s dropped
+		// again so later saves don’t keep failing on it.
+		add(entry) {
+			entries.unshift({ createdAt: Date.now(), ...entry });
+			const isSaved = persist();
+			if (!isSaved) entries.shift();
+			renderList();
+			return isSaved;
+		},
+		get count() {
+			return entries.length;
+		},
+		toggle() {
+			container.classList.toggle('show');
+		},
+		hide() {
+			container.classList.remove('show');
+		},
+	};
+}
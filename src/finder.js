@@ -0,0 +1,182 @@
+// Automated search for interesting rule sets. Each run starts from fresh rules
+// and a fresh grid, and is scored over its last few generations. Dead, frozen
+// and noisy runs are discarded, and the rest are kept in a ranked list.
+
+import { getChangedFraction, getSpatialAutocorrelation, getStateEntropy } from './metrics.js';
+import { hashBytes } from './util.js';
+
+const SETTINGS = {
+	generations: { label: 'Generations per run', value: 200, step: 10, min: 2 },
+	window: { label: 'Generations measured', value: 16, step: 1, min: 2 },
+	minActivity: { label: 'Min. cells changing', value: 0.002, step: 0.001, min: 0 },
+	maxActivity: { label: 'Max. cells changing', value: 0.5, step: 0.05, min: 0 },
+	minEntropy: { label: 'Min. state entropy', value: 0.2, step: 0.05, min: 0 },
+	minAutocorrelation: { label: 'Min. structure', value: 0.1, step: 0.05, min: -1 },
+	minPeriod: { label: 'Min. loop length', value: 3, step: 1, min: 1 },
+	maxCandidates: { label: 'Candidates kept', value: 12, step: 1, min: 1 },
+};
+
+function mean(values) {
+	return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+// Favor structured, varied runs that change at a moderate rate.
+function getScore({ activity, entropy, autocorrelation }) {
+	return autocorrelation * entropy * Math.sqrt(activity) * (1 - activity);
+}
+
+function formatMetrics({ activity, entropy, autocorrelation, period }) {
+	return [
+		`${(activity * 100).toFixed(1)}% changing`,
+		`entropy ${entropy.toFixed(2)}`,
+		`structure ${autocorrelation.toFixed(2)}`,
+		period ? `loops every ${period}` : 'no loop',
+	].join(' · ');
+}
+
+// Wire up the finder overlay. `startRun` is called to reroll the rules and
+// grid for each run, and `readGrid` to read back the current
+// { grid, width, nStates }. `getSnapshot` returns the { config, thumbnail }
+// of the current run, and `onLoad` is called with a candidate when the user
+// picks one.
+export function createFinder({ container, startRun, readGrid, getSnapshot, onLoad }) {
+	const settings = Object.fromEntries(Object.entries(SETTINGS).map(([key, { value }]) => [key, value]));
+	const startButton = container.querySelector('[data-action="start"]');
+	const status = container.querySelector('.finder-status');
+	const list = container.querySelector('.finder-candidates');
+	let candidates = [];
+	let isRunning = false;
+	let nRuns = 0;
+	let run;
+
+	container.querySelector('.finder-settings').replaceChildren(
+		...Object.entries(SETTINGS).map(([key, { label, step, min }]) => {
+			const input = document.createElement('input');
+			Object.assign(input, { type: 'number', step, min, value: settings[key] });
+			input.addEventListener('change', () => {
+				const value = Number(input.value);
+				if (input.value !== '' && value >= min) settings[key] = value;
+				settings.window = Math.min(settings.window, settings.generations);
+				input.value = settings[key];
+			});
+			const labelElement = document.createElement('label');
+			labelElement.append(label, input);
+			return labelElement;
+		})
+	);
+
+	function getRejection({ activity, entropy, autocorrelation, period }) {
+		if (entropy < settings.minEntropy) return 'dead';
+		if (activity < settings.minActivity || period === 1) return 'frozen';
+		if (period && period < settings.minPeriod) return `loops every ${period}`;
+		if (activity > settings.maxActivity || autocorrelation < settings.minAutocorrelation) return 'noise';
+		return null;
+	}
+
+	function renderCandidates() {
+		list.replaceChildren(
+			...candidates.map((candidate, idx) => {
+				const item = document.createElement('li');
+				const thumbnail = document.createElement('img');
+				thumbnail.src = candidate.thumbnail;
+				thumbnail.alt = `Candidate ${idx + 1}`;
+				thumbnail.addEventListener('click', () => load(candidate));
+				const description = document.createElement('p');
+				description.textContent = `${idx + 1}. Score ${candidate.score.toFixed(3)}: ${formatMetrics(candidate.metrics)}`;
+				item.append(thumbnail, description);
+				return item;
+			})
+		);
+	}
+
+	function setStatus(text) {
+		status.textContent = text;
+	}
+
+	function beginRun() {
+		run = { generation: 0, hashes: new Map(), activities: [], period: null, previousGrid: null };
+		startRun();
+	}
+
+	function finishRun(grid, width, nStates) {
+		const metrics = {
+			activity: mean(run.activities),
+			entropy: getStateEntropy(grid, nStates),
+			autocorrelation: getSpatialAutocorrelation(grid, width, nStates),
+			period: run.period,
+		};
+		const rejection = getRejection(metrics);
+		++nRuns;
+		if (rejection) {
+			setStatus(`Run ${nRuns}: discarded (${rejection})`);
+		} else {
+			const score = getScore(metrics);
+			candidates.push({ ...getSnapshot(), metrics, score });
+			candidates = candidates.sort((a, b) => b.score - a.score).slice(0, settings.maxCandidates);
+			renderCandidates();
+			setStatus(`Run ${nRuns}: kept, with a score of ${score.toFixed(3)}`);
+		}
+		beginRun();
+	}
+
+	function start() {
+		isRunning = true;
+		startButton.textContent = 'Stop';
+		setStatus('Searching…');
+		beginRun();
+	}
+
+	function stop() {
+		isRunning = false;
+		startButton.textContent = 'Start';
+		setStatus(`Stopped after ${nRuns} runs.`);
+	}
+
+	function load(candidate) {
+		if (isRunning) stop();
+		onLoad(candidate);
+	}
+
+	startButton.addEventListener('click', () => (isRunning ? stop() : start()));
+	container.querySelector('[data-action="clear"]').addEventListener('click', () => {
+		candidates = [];
+		renderCandidates();
+	});
+	container.querySelector('[data-action="close"]').addEventListener('click', () => {
+		container.classList.remove('show');
+	});
+
+	return {
+		get isRunning() {
+			return isRunning;
+		},
+		// Call once per generation. Only the last `window` generations of each run are read back.
+		afterGeneration() {
+			if (!isRunning) return;
+			++run.generation;
+			if (run.generation <= settings.generations - settings.window) return;
+
+			const { grid, width, nStates } = readGrid();
+			// The canvas can be resized mid-run.
+			if (run.previousGrid?.length === grid.length) {
+				run.activities.push(getChangedFraction(grid, run.previousGrid));
+			}
+			run.previousGrid = grid;
+			const hash = hashBytes(grid);
+			if (!run.period && run.hashes.has(hash)) run.period = run.generation - run.hashes.get(hash);
+			run.hashes.set(hash, run.generation);
+
+			if (run.generation >= settings.generations) finishRun(grid, width, nStates);
+		},
+		toggleSearch() {
+			if (isRunning) stop();
+			else start();
+		},
+		toggle() {
+			container.classList.toggle('show');
+		},
+		hide() {
+			container.classList.remove('show');
+		},
+	};
+}
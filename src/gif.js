@@ -0,0 +1,131 @@
+// Minimal animated GIF encoder. Frames are arrays of palette indices, so the
+// cell states can be encoded directly without any color quantization.
+
+// The most colors a GIF palette can hold, and so the most states that can be recorded.
+export const MAX_GIF_COLORS = 256;
+
+function lzwEncode(indices, minCodeSize) {
+	const clearCode = 1 << minCodeSize;
+	const endCode = clearCode + 1;
+	let codeSize = minCodeSize + 1;
+	let nextCode = endCode + 1;
+	let codeTable = new Map();
+
+	const output = [];
+	let bitBuffer = 0;
+	let bitCount = 0;
+	function write(code) {
+		bitBuffer |= code << bitCount;
+		bitCount += codeSize;
+		while (bitCount >= 8) {
+			output.push(bitBuffer & 0xff);
+			bitBuffer >>>= 8;
+			bitCount -= 8;
+		}
+	}
+
+	write(clearCode);
+	let prefix = indices[0];
+	for (let i = 1; i < indices.length; ++i) {
+		const index = indices[i];
+		const key = (prefix << 8) | index;
+		const code = codeTable.get(key);
+		if (code !== undefined) {
+			prefix = code;
+			continue;
+		}
+
+		write(prefix);
+		if (nextCode === 4096) {
+			// The table is full; start over.
+			write(clearCode);
+			codeTable = new Map();
+			codeSize = minCodeSize + 1;
+			nextCode = endCode + 1;
+		} else {
+			if (nextCode >= 1 << codeSize) ++codeSize;
+			codeTable.set(key, nextCode++);
+		}
+		prefix = index;
+	}
+	write(prefix);
+	write(endCode);
+	if (bitCount > 0) output.push(bitBuffer & 0xff);
+
+	// Split into sub-blocks of up to 255 bytes.
+	const blocks = [minCodeSize];
+	for (let i = 0; i < output.length; i += 255) {
+		const block = output.slice(i, i + 255);
+		blocks.push(block.length, ...block);
+	}
+	blocks.push(0);
+	return Uint8Array.from(blocks);
+}
+
+function getColorBits(nColors) {
+	return Math.max(1, Math.ceil(Math.log2(nColors)));
+}
+
+// Encode a single frame. `indices` is a top-to-bottom, row-major array of
+// palette indices, and `delay` is in hundredths of a second.
+export function encodeGifFrame(width, height, indices, delay, nColors) {
+	const header = Uint8Array.from([
+		// Graphic control extension.
+		0x21,
+		0xf9,
+		0x04,
+		0x00,
+		delay & 0xff,
+		(delay >> 8) & 0xff,
+		0x00,
+		0x00,
+		// Image descriptor.
+		0x2c,
+		0x00,
+		0x00,
+		0x00,
+		0x00,
+		width & 0xff,
+		(width >> 8) & 0xff,
+		height & 0xff,
+		(height >> 8) & 0xff,
+		0x00,
+	]);
+	const data = lzwEncode(indices, Math.max(2, getColorBits(nColors)));
+	const frame = new Uint8Array(header.length + data.length);
+	frame.set(header);
+	frame.set(data, header.length);
+	return frame;
+}
+
+// Assemble a looping GIF from frames returned by `encodeGifFrame`. `palette`
+// is an array of [r, g, b] triplets in 0–255.
+export function encodeGif(width, height, palette, frames) {
+	const colorBits = getColorBits(palette.length);
+	const colorTable = new Uint8Array(3 * (1 << colorBits));
+	palette.forEach((rgb, i) => colorTable.set(rgb, i * 3));
+
+	const header = Uint8Array.from([
+		...Array.from('GIF89a', char => char.charCodeAt(0)),
+		width & 0xff,
+		(width >> 8) & 0xff,
+		height & 0xff,
+		(height >> 8) & 0xff,
+		0xf0 | (colorBits - 1), // Global color table, 8-bit color resolution.
+		0x00,
+		0x00,
+	]);
+	const loopExtension = Uint8Array.from([
+		0x21,
+		0xff,
+		0x0b,
+		...Array.from('NETSCAPE2.0', char => char.charCodeAt(0)),
+		0x03,
+		0x01,
+		0x00, // Loop forever.
+		0x00,
+		0x00,
+	]);
+
+	return new Blob([header, colorTable, loopExtension, ...frames, Uint8Array.from([0x3b])], { type: 'image/gif' });
+}
@@ -24,6 +24,7 @@ we sum the neighbor weights (shown) and get 5. We look that up in the rule array
 and determine that it should remain unchanged. */
 
 import {
+	bindFramebufferInfo,
 	createProgramInfo,
 	createBufferInfoFromArrays,
 	createFramebufferInfo,
@@ -31,114 +32,662 @@ import {
 	drawBufferInfo,
 	resizeCanvasToDisplaySize,
 	setBuffersAndAttributes,
+	setTextureFromArray,
+	setTextureParameters,
 	setUniforms,
 } from 'twgl-base.js';
 import { tinykeys } from 'tinykeys';
 
-import palettes from './palettes.js';
-import { generateFurthestSubsequentDistanceArray, hexToNormalizedRGB, shuffleArray } from './util.js';
+import palettes, { loadCustomPalettes, saveCustomPalettes } from './palettes.js';
+import { generateRules, getRuleBounds, mutateRuleSet, resolvePassOptions } from './automaton.js';
+import { BOUNDARY_NAMES, boundaries } from './boundaries.js';
+import { getMissingCapabilities } from './capabilities.js';
+import { createBreeding } from './breeding.js';
+import { getColors } from './colors.js';
+import { clampConfig, decodeConfig, encodeConfig } from './config.js';
+import {
+	DEFAULT_PASSES,
+	DISTRIBUTION_MAX_WEIGHT,
+	MAX_DENSITY,
+	MAX_N_RULES,
+	MAX_N_STATES,
+	MAX_NEIGHBOR_RANGE,
+	MAX_WEIGHT,
+	MIN_DENSITY,
+} from './constants.js';
+import { createControlPanel } from './controlPanel.js';
+import { createFavorites } from './favorites.js';
+import { createFinder } from './finder.js';
+import { countNeighborSums } from './cpu.js';
+import { DISPLAY_MODE_NAMES, displayModes } from './displayModes.js';
+import { MAX_GIF_COLORS, encodeGif, encodeGifFrame } from './gif.js';
+import { createNeighborhoodEditor } from './neighborhoodEditor.js';
+import { NEIGHBORHOOD_NAMES, getNeighborOffsets, neighborhoods } from './neighborhoods.js';
+import { createPaletteEditor } from './paletteEditor.js';
+import { createPassEditor } from './passEditor.js';
+import { createRuleEditor } from './ruleEditor.js';
+import { SEEDING_MODE_NAMES, getSeedGrid, seedingModes } from './seeding.js';
+import { createStatistics } from './statistics.js';
+import { createUndoHistory } from './undoHistory.js';
+import {
+	MAX_ZOOM,
+	TILE_COUNTS,
+	createView,
+	getViewScale,
+	isDefaultView,
+	panView,
+	screenToCell,
+	zoomView,
+} from './view.js';
+import {
+	createRandom,
+	downloadBlob,
+	flipRows,
+	hashBytes,
+	randomSeed,
+	shuffleArray,
+	stopShortcutsInControls,
+} from './util.js';
+import { createWeightEditor } from './weightEditor.js';
+import { fillWeights, weightDistributions } from './weights.js';
 
 // Common vertex shader.
 import vsSource from './vertex.glsl';
 
 import './style.css';
 
-// Configurable.
-const MAX_WEIGHT = 1.5;
-const MAX_N_STATES = 128;
-const MAX_NEIGHBOR_RANGE = 11;
-
-// This array gives the option to run multiple update programs per frame. Args
-// are [gridSize, canvasOffset].
-const stackedUpdates = [[1], [1, 0.25]];
+// Generations for a cell to fade most of the way in the age display mode.
+const AGE_SCALE = 32;
 
-// Derived.
-const MAX_N_RULES = Math.floor(MAX_WEIGHT * (Math.pow(MAX_NEIGHBOR_RANGE * 2 + 1, 2) - 1) + 1);
+// Lookup tables (weights, rules, colors and neighbor offsets) are textures with
+// one entry per texel, in rows of LOOKUP_TEXTURE_WIDTH since they can be longer
+// than the maximum texture width. See `uploadLookupTable()`.
+const LOOKUP_TEXTURE_WIDTH = 1024;
+const lookupSource = `
+ivec2 getLookupCoord(int index) {
+	return ivec2(index % ${LOOKUP_TEXTURE_WIDTH}, index / ${LOOKUP_TEXTURE_WIDTH});
+}
+`;
 
-// Display fragment shader.
+// Display fragment shader. Shows the grid zoomed, panned and repeated (see
+// view.js), optionally with lines between cells and at the grid’s edges.
 const displayFsSource = `
 #version 300 es
-precision mediump float;
+precision highp float;
 precision mediump usampler2D;
 
 uniform usampler2D u_screenTexture;
-uniform vec3 u_colors[${MAX_N_STATES}];
+uniform highp usampler2D u_historyTexture;
+uniform sampler2D u_trailTexture;
+uniform sampler2D u_colors;
+uniform int u_displayMode;
+uniform float u_nRules;
+uniform vec2 u_center;
+uniform float u_scale;
+uniform bool u_showGrid;
+uniform bool u_showEdges;
 
 in vec2 v_texCoord;
 out vec4 FragColor;
 
+${lookupSource}
+
+// Black through red and yellow to white.
+vec3 heatmap(float t) {
+	return clamp(vec3(3.0 * t, 3.0 * t - 1.0, 3.0 * t - 2.0), 0.0, 1.0);
+}
+
+vec3 rainbow(float t) {
+	return 0.5 + 0.5 * cos(6.28318 * (t * 0.85 + vec3(0.0, 0.33, 0.67)));
+}
+
 void main() {
-	uint cellState = texture(u_screenTexture, v_texCoord).r;
-	FragColor = vec4(u_colors[cellState].rgb, 1.0);
+	vec2 size = vec2(textureSize(u_screenTexture, 0));
+	vec2 coord = (v_texCoord - 0.5) * u_scale + u_center;
+	vec2 cell = coord * size;
+	ivec2 texel = min(ivec2(fract(coord) * size), ivec2(size) - 1);
+	uint cellState = texelFetch(u_screenTexture, texel, 0).r;
+	vec3 color = texelFetch(u_colors, getLookupCoord(int(cellState)), 0).rgb;
+
+	// See displayModes.js. The history holds each cell’s age, change heat and rule index + 1.
+	uvec4 history = texelFetch(u_historyTexture, texel, 0);
+	if (u_displayMode == ${DISPLAY_MODE_NAMES.indexOf('age')}) {
+		color *= mix(0.15, 1.0, exp(-float(history.r) / ${AGE_SCALE}.0));
+	} else if (u_displayMode == ${DISPLAY_MODE_NAMES.indexOf('trails')}) {
+		color = texelFetch(u_trailTexture, texel, 0).rgb;
+	} else if (u_displayMode == ${DISPLAY_MODE_NAMES.indexOf('heatmap')}) {
+		color = heatmap(sqrt(float(history.g) / 65535.0)); // Square root, so rare changes still show up.
+	} else if (u_displayMode == ${DISPLAY_MODE_NAMES.indexOf('rules')}) {
+		color = history.b == 0u ? vec3(0.0) : rainbow(float(history.b - 1u) / max(1.0, u_nRules - 1.0));
+	}
+
+	// Distances in pixels, so lines are one pixel wide at any zoom.
+	vec2 cellsPerPixel = fwidth(cell);
+	if (u_showGrid && max(cellsPerPixel.x, cellsPerPixel.y) < 0.25) {
+		vec2 gridDistance = fract(cell) / cellsPerPixel;
+		if (min(gridDistance.x, gridDistance.y) < 1.0) color = mix(color, vec3(0.0), 0.4);
+	}
+	if (u_showEdges) {
+		vec2 edgeDistance = abs(coord - round(coord)) / fwidth(coord);
+		if (min(edgeDistance.x, edgeDistance.y) < 1.0) color = vec3(1.0);
+	}
+	FragColor = vec4(color, 1.0);
 }
 `;
 
-tinykeys(window, {
+// Paint fragment shader. Paints a stroke from `u_from` to `u_to` (in cells)
+// into the state, wrapping around the edges if the simulation does.
+const paintFsSource = `
+#version 300 es
+precision highp float;
+precision mediump usampler2D;
+
+uniform usampler2D u_currentStateTexture;
+uniform vec2 u_resolution;
+uniform vec2 u_from;
+uniform vec2 u_to;
+uniform float u_radius;
+uniform bool u_isCircle;
+uniform int u_state; // -1 paints random states.
+uniform int u_nStates;
+uniform float u_randomSeed;
+uniform bool u_isWrapping;
+
+in vec2 v_texCoord;
+out uint State;
+
+vec2 wrap(vec2 delta) {
+	return u_isWrapping ? delta - u_resolution * round(delta / u_resolution) : delta;
+}
+
+float random(vec2 coord) {
+	return fract(sin(dot(coord + u_randomSeed, vec2(12.9898, 78.233))) * 43758.5453);
+}
+
+void main() {
+	vec2 cell = floor(gl_FragCoord.xy);
+	vec2 stroke = wrap(u_to - u_from);
+	vec2 delta = wrap(cell - u_from);
+	float t = dot(stroke, stroke) > 0.0 ? clamp(dot(delta, stroke) / dot(stroke, stroke), 0.0, 1.0) : 0.0;
+	vec2 distance = abs(delta - stroke * t);
+	bool isInBrush = u_isCircle ? length(distance) <= u_radius : max(distance.x, distance.y) <= u_radius;
+
+	if (!isInBrush) {
+		State = texture(u_currentStateTexture, v_texCoord).r;
+	} else if (u_state < 0) {
+		State = uint(floor(random(cell) * float(u_nStates)));
+	} else {
+		State = uint(u_state);
+	}
+}
+`;
+
+// Remap fragment shader. Wraps every cell’s state into [0, u_nStates).
+const remapFsSource = `
+#version 300 es
+precision mediump float;
+precision mediump usampler2D;
+
+uniform usampler2D u_currentStateTexture;
+uniform uint u_nStates;
+
+in vec2 v_texCoord;
+out uint State;
+
+void main() {
+	State = texture(u_currentStateTexture, v_texCoord).r % u_nStates;
+}
+`;
+
+// How much of the trail color and change heat carries over each generation.
+const TRAIL_PERSISTENCE = 0.9;
+const HEAT_PERSISTENCE = 0.98;
+
+// History fragment shader. Runs after each generation for the display modes,
+// comparing the state before the generation (`u_currentStateTexture`) with the
+// state after it. Outputs each cell’s age (generations since it last changed),
+// change heat, and the index + 1 of the rule it hit in the first pass (0 if
+// the sum was outside of the table), plus its trail color.
+function getHistoryFsSource() {
+	return `
+	#version 300 es
+	precision mediump float;
+	precision mediump usampler2D;
+
+	uniform usampler2D u_stateTexture;
+	uniform highp usampler2D u_historyTexture;
+	uniform sampler2D u_trailTexture;
+	uniform sampler2D u_colors;
+	uniform int u_minNeighborWeight;
+	uniform int u_nRules;
+	uniform bool u_isReset;
+
+	in vec2 v_texCoord;
+	layout(location = 0) out uvec4 History;
+	layout(location = 1) out vec4 Trail;
+
+	${getNeighborSumSource()}
+
+	void main() {
+		uint previousState = getState(v_texCoord);
+		uint state = texture(u_stateTexture, v_texCoord).r;
+		vec3 color = texelFetch(u_colors, getLookupCoord(int(state)), 0).rgb;
+		int ruleIndex = getNeighborSum() - u_minNeighborWeight;
+		uint rule = ruleIndex >= 0 && ruleIndex < u_nRules ? uint(ruleIndex + 1) : 0u;
+
+		if (u_isReset) {
+			History = uvec4(0u, 0u, rule, 0u);
+			Trail = vec4(color, 1.0);
+			return;
+		}
+
+		uvec4 history = texture(u_historyTexture, v_texCoord);
+		bool isChanged = state != previousState;
+		uint age = isChanged ? 0u : min(history.r + 1u, 65535u);
+		highp float heat = float(history.g) / 65535.0 * ${HEAT_PERSISTENCE} + (isChanged ? 1.0 - ${HEAT_PERSISTENCE} : 0.0);
+		History = uvec4(age, uint(floor(heat * 65535.0)), rule, 0u);
+		Trail = vec4(mix(color, texture(u_trailTexture, v_texCoord).rgb, ${TRAIL_PERSISTENCE}), 1.0);
+	}
+	`;
+}
+
+// Every user-facing action. The keyboard shortcuts and the control panel both
+// call these, so they stay in sync.
+const actions = {
 	// Change colors.
-	KeyC: () => updateColors(),
-	'Shift+KeyC': () => updateColors(-1),
-	// Increase / decrease resolution density.
-	KeyD: () => {
-		resolutionMultiplier = Math.min(2, resolutionMultiplier * 2);
-		showInfo(`Density: ${resolutionMultiplier * 100}%`);
+	nextPalette: () => {
+		updateColors();
+		updateHash();
 	},
-	'Shift+KeyD': () => {
-		resolutionMultiplier /= 2;
-		showInfo(`Density: ${resolutionMultiplier * 100}%`);
+	previousPalette: () => {
+		updateColors(-1);
+		updateHash();
 	},
-	// Increase / decrease cell inertia.
-	KeyI: () => {
-		cellInertia = Math.min(1, cellInertia + 0.05);
-		updateUniforms();
-		showInfo(`Cell inertia: ${Math.round(cellInertia * 100)}%`);
+	// Edit, import and save palettes.
+	togglePaletteEditor: () => {
+		hideOverlays();
+		paletteEditor.toggle();
+	},
+	// Change resolution density.
+	setDensity: newResolutionMultiplier => {
+		resolutionMultiplier = Math.max(MIN_DENSITY, Math.min(MAX_DENSITY, newResolutionMultiplier));
+		updateHash();
+		showInfo(`Density: ${resolutionMultiplier * 100}%`);
 	},
-	'Shift+KeyI': () => {
-		cellInertia = Math.max(0, cellInertia - 0.05);
+	increaseDensity: () => actions.setDensity(resolutionMultiplier * 2),
+	decreaseDensity: () => actions.setDensity(resolutionMultiplier / 2),
+	// Change cell inertia.
+	setInertia: newCellInertia => {
+		cellInertia = Math.round(Math.max(0, Math.min(1, newCellInertia)) * 100) / 100;
 		updateUniforms();
+		updateHash();
 		showInfo(`Cell inertia: ${Math.round(cellInertia * 100)}%`);
 	},
-	// Increase / decrease neighbor range.
-	KeyN: () => {
-		setNeighborRange(Math.min(MAX_NEIGHBOR_RANGE, neighborRange + 1));
+	increaseInertia: () => actions.setInertia(cellInertia + 0.05),
+	decreaseInertia: () => actions.setInertia(cellInertia - 0.05),
+	// Change neighbor range.
+	setNeighborRange: newNeighborRange => {
+		newNeighborRange = Math.max(1, Math.min(MAX_NEIGHBOR_RANGE, newNeighborRange));
+		if (!fitsRuleTable({ neighborRange: newNeighborRange })) return;
+		setNeighborRange(newNeighborRange);
+		neighborhoodEditor.update();
+		updateHash();
 		showInfo(`Neighbor range: ${neighborRange}`);
 	},
-	'Shift+KeyN': () => {
-		setNeighborRange(Math.max(neighborRange - 1, 1));
-		showInfo(`Neighbor range: ${neighborRange}`);
+	increaseNeighborRange: () => actions.setNeighborRange(neighborRange + 1),
+	decreaseNeighborRange: () => actions.setNeighborRange(neighborRange - 1),
+	// Change the number of states.
+	setNStates: newNStates => {
+		newNStates = Math.max(2, Math.min(MAX_N_STATES, newNStates));
+		if (newNStates === nStates || !setNStates(newNStates)) return;
+		updateHash();
+		showInfo(`States: ${nStates}`);
 	},
+	increaseStates: () => actions.setNStates(nStates + 1),
+	decreaseStates: () => actions.setNStates(nStates - 1),
 	// Change rules.
-	KeyR: () => {
+	changeRules: () => {
 		updateUniforms();
+		updateHash();
 		showInfo('Rules changed');
 	},
+	// Mutate some of the rules (and the weights, if enabled in the breeding view).
+	mutate: () => {
+		breeding.recordAncestor();
+		applyRuleSet(mutate(getUpdateOptions(), breeding.settings));
+		updateHash();
+		showInfo(`Mutated ${Math.round(breeding.settings.ruleFraction * 100)}% of rules`);
+	},
+	toggleBreeding: () => {
+		hideOverlays();
+		breeding.toggle();
+	},
+	stepBackLineage: () => {
+		if (!breeding.stepBack()) showInfo('No earlier generation');
+	},
+	// Change how the grid is seeded, and reseed it.
+	setSeeding: newSeeding => {
+		seeding = newSeeding;
+		initBuffers();
+		updateHash();
+		showInfo(`Seeding: ${seedingModes[seeding].label}`);
+	},
+	nextSeeding: () => actions.setSeeding(cycleSeeding(1)),
+	previousSeeding: () => actions.setSeeding(cycleSeeding(-1)),
+	setSeedDensity: newSeedDensity => {
+		seedDensity = Math.round(Math.max(0.01, Math.min(1, newSeedDensity)) * 100) / 100;
+		initBuffers();
+		updateHash();
+		showInfo(`Seed density: ${Math.round(seedDensity * 100)}%`);
+	},
+	loadSeedImage: () => seedImageInput.click(),
+	// Start over from the same seed.
+	reseed: () => {
+		initBuffers();
+		showInfo('Reseeded');
+	},
 	// Scramble pixels.
-	KeyS: () => initBuffers(),
+	scramble: () => {
+		setSeed(randomSeed());
+		setPalette(palette); // Reseed the jitter.
+		initBuffers();
+		updateHash();
+	},
 	// Change neighborhood type.
-	// TODO: This isn’t well thought out; it should update minNeighborWeight, nRules, etc.
-	KeyV: () => {
-		isVonNeumann = !isVonNeumann;
-		showInfo(isVonNeumann ? 'Von Neumann neighborhood' : 'Moore neighborhood');
+	nextNeighborhood: () => {
+		if (!cycleNeighborhood()) return;
+		updateHash();
+		showInfo(`${neighborhoods[neighborhood].label} neighborhood`);
+	},
+	previousNeighborhood: () => {
+		if (!cycleNeighborhood(-1)) return;
+		updateHash();
+		showInfo(`${neighborhoods[neighborhood].label} neighborhood`);
+	},
+	// Change what happens at the edges of the grid.
+	nextBoundary: () => {
+		setBoundary(cycleBoundary(1));
+		updateHash();
+		showInfo(`Edges: ${getBoundaryLabel()}`);
+	},
+	previousBoundary: () => {
+		setBoundary(cycleBoundary(-1));
+		updateHash();
+		showInfo(`Edges: ${getBoundaryLabel()}`);
+	},
+	setBorderState: newBorderState => {
+		borderState = Math.max(0, Math.min(nStates - 1, newBorderState));
+		updateHash();
+		showInfo(`Border state: ${borderState}`);
+	},
+	// Draw a custom neighborhood.
+	toggleNeighborhoodEditor: () => {
+		hideOverlays();
+		neighborhoodEditor.toggle();
+	},
+	// Edit the rule table.
+	toggleRuleEditor: () => {
+		hideOverlays();
+		ruleEditor.toggle();
+	},
+	// Edit the weight of each state.
+	toggleWeightEditor: () => {
+		hideOverlays();
+		weightEditor.toggle();
+	},
+	// Edit the update passes.
+	togglePassEditor: () => {
+		hideOverlays();
+		passEditor.toggle();
 	},
 	// Change weights.
-	KeyW: () => {
+	nextWeights: () => {
 		const label = updateWeights();
+		updateHash();
 		showInfo(`Weights: ${label}`);
 	},
-	'Shift+KeyW': () => {
+	previousWeights: () => {
 		const label = updateWeights(-1);
+		updateHash();
 		showInfo(`Weights: ${label}`);
 	},
+	// Export a high-resolution PNG, which tiles seamlessly if the edges wrap around.
+	exportImage: () => {
+		const input = window.prompt(
+			'Export size: a cell scale (eg. 4 for 4×4 pixel cells) or dimensions (eg. 4096x4096).',
+			lastExportSize
+		);
+		if (!input) return;
+		const size = parseExportSize(input);
+		if (!size) return showError();
+		lastExportSize = input;
+		exportImage(...size);
+	},
+	// Start / stop recording an animation.
+	toggleRecording: () => {
+		if (recording) stopRecording();
+		else startRecording();
+	},
+	changeRecordingSettings: () => {
+		const { format, duration, framesPerGeneration } = recordingSettings;
+		const input = window.prompt(
+			'Recording settings: format (webm or gif), duration in seconds, frames per generation.',
+			`${format}, ${duration}, ${framesPerGeneration}`
+		);
+		if (!input) return;
+		const [newFormat, newDuration, newFramesPerGeneration] = input.trim().split(/[\s,]+/);
+		if (!['webm', 'gif'].includes(newFormat) || !(newDuration > 0) || !(parseInt(newFramesPerGeneration, 10) > 0)) {
+			return showError();
+		}
+		recordingSettings.format = newFormat;
+		recordingSettings.duration = Number(newDuration);
+		recordingSettings.framesPerGeneration = parseInt(newFramesPerGeneration, 10);
+		showInfo(`Recording: ${newFormat}, ${newDuration}s`);
+	},
+	// Save to favorites / show the favorites library.
+	saveFavorite: () => {
+		const isSaved = favorites.add({
+			name: `Favorite ${favorites.count + 1}`,
+			config: encodeConfig(getConfig()),
+			thumbnail: getThumbnail(),
+		});
+		if (isSaved) showInfo('Saved to favorites');
+	},
+	toggleFavorites: () => {
+		hideOverlays();
+		favorites.toggle();
+	},
+	// Search for interesting rule sets automatically.
+	toggleFinder: () => {
+		hideOverlays();
+		finder.toggle();
+	},
+	toggleSearch: () => {
+		finder.toggleSearch();
+		showInfo(finder.isRunning ? 'Searching…' : 'Search stopped');
+	},
+	// Toggle brush mode, and change the brush.
+	toggleBrush: () => {
+		isBrushMode = !isBrushMode;
+		canvas.classList.toggle('brush', isBrushMode);
+		showInfo(isBrushMode ? `Brush: ${getBrushLabel()}` : 'Brush off');
+	},
+	toggleBrushShape: () => {
+		brush.isCircle = !brush.isCircle;
+		showInfo(`Brush: ${getBrushLabel()}`);
+	},
+	setBrushRadius: radius => {
+		brush.radius = Math.max(0, Math.min(MAX_BRUSH_RADIUS, radius));
+		showInfo(`Brush: ${getBrushLabel()}`);
+	},
+	// 0 erases, -1 paints random states.
+	setBrushState: state => {
+		brush.state = Math.min(state, nStates - 1);
+		showInfo(`Brush: ${getBrushLabel()}`);
+	},
 	// Pause / play.
-	Space: () => {
+	togglePause: () => {
 		isPaused = !isPaused;
 		showInfo(isPaused ? 'Paused' : 'Playing');
 	},
-	'Shift+?': () => {
-		instructionsContainer.classList.toggle('show');
+	// Change the number of generations per frame.
+	setSpeed: newSpeedIdx => {
+		speedIdx = Math.max(0, Math.min(SPEEDS.length - 1, newSpeedIdx));
+		showInfo(`Speed: ${getSpeedLabel()}`);
+	},
+	increaseSpeed: () => actions.setSpeed(speedIdx + 1),
+	decreaseSpeed: () => actions.setSpeed(speedIdx - 1),
+	// Pause, and advance a single generation.
+	step: () => {
+		isPaused = true;
+		queueGenerations(1);
+	},
+	// Fast-forward a number of generations.
+	runGenerations: () => {
+		const input = window.prompt('Number of generations to run:', lastRunLength);
+		if (!input) return;
+		const nGenerations = parseInt(input, 10);
+		if (!(nGenerations > 0)) return showError();
+		lastRunLength = input;
+		if (queueGenerations(nGenerations)) showInfo(`Running ${nGenerations} generations…`);
+	},
+	// Zoom, pan and preview tiling.
+	zoomIn: () => {
+		zoomView(view, 2);
+		updateView();
+		showInfo(`Zoom: ${Math.round(view.zoom * 100)}%`);
 	},
-	Escape: () => {
-		instructionsContainer.classList.remove('show');
+	zoomOut: () => {
+		zoomView(view, 0.5);
+		updateView();
+		showInfo(`Zoom: ${Math.round(view.zoom * 100)}%`);
 	},
+	setZoom: zoom => {
+		zoomView(view, zoom / view.zoom);
+		updateView();
+	},
+	pan: delta => {
+		panView(view, delta);
+		updateView();
+	},
+	resetView: () => {
+		Object.assign(view, createView(), { showGrid: view.showGrid });
+		updateView();
+		showInfo('View reset');
+	},
+	setTiles: tiles => {
+		view.tiles = Math.max(TILE_COUNTS[0], Math.min(TILE_COUNTS[TILE_COUNTS.length - 1], tiles));
+		updateView();
+		showInfo(view.tiles === 1 ? 'Tile preview off' : `Tile preview: ${view.tiles}×${view.tiles}`);
+	},
+	nextTiles: () => actions.setTiles(view.tiles === TILE_COUNTS[TILE_COUNTS.length - 1] ? 1 : view.tiles + 1),
+	toggleCellGrid: () => {
+		view.showGrid = !view.showGrid;
+		showInfo(view.showGrid ? 'Cell grid on' : 'Cell grid off');
+	},
+	// Change what the display shows for each cell.
+	nextDisplayMode: () => actions.setDisplayMode(cycleDisplayMode(1)),
+	previousDisplayMode: () => actions.setDisplayMode(cycleDisplayMode(-1)),
+	setDisplayMode: newDisplayMode => {
+		displayMode = newDisplayMode;
+		if (isHistoryStale) resetHistory();
+		showInfo(`Display: ${displayModes[displayMode].label}`);
+	},
+	toggleStats: () => {
+		statsContainer.classList.toggle('show');
+	},
+	// Walk the undo history.
+	undo: () => {
+		const entry = undoHistory.undo();
+		showInfo(entry ? `Undo, back to: ${entry.label}` : 'Nothing to undo');
+	},
+	redo: () => {
+		const entry = undoHistory.redo();
+		showInfo(entry ? `Redo: ${entry.label}` : 'Nothing to redo');
+	},
+	toggleHistory: () => {
+		hideOverlays();
+		undoHistory.toggle();
+	},
+	// Show / hide the live statistics. They can stay open alongside the other overlays.
+	toggleStatistics: () => statistics.toggle(),
+	toggleInstructions: () => {
+		instructionsContainer.classList.toggle('show');
+	},
+	toggleControlPanel: () => controlPanel.toggle(),
+	hideOverlays: () => hideOverlays(),
+};
+
+stopShortcutsInControls(document);
+tinykeys(window, {
+	KeyC: actions.nextPalette,
+	'Shift+KeyC': actions.previousPalette,
+	KeyO: actions.togglePaletteEditor,
+	KeyD: actions.increaseDensity,
+	'Shift+KeyD': actions.decreaseDensity,
+	KeyI: actions.increaseInertia,
+	'Shift+KeyI': actions.decreaseInertia,
+	KeyN: actions.increaseNeighborRange,
+	'Shift+KeyN': actions.decreaseNeighborRange,
+	Equal: actions.increaseStates,
+	'Shift+Equal': actions.increaseStates,
+	Minus: actions.decreaseStates,
+	KeyR: actions.changeRules,
+	'Shift+KeyR': actions.mutate,
+	KeyU: actions.toggleBreeding,
+	'Shift+KeyU': actions.stepBackLineage,
+	KeyS: actions.scramble,
+	'Shift+KeyS': actions.toggleStatistics,
+	KeyQ: actions.nextSeeding,
+	'Shift+KeyQ': actions.previousSeeding,
+	KeyV: actions.nextNeighborhood,
+	'Shift+KeyV': actions.previousNeighborhood,
+	KeyK: actions.toggleNeighborhoodEditor,
+	KeyJ: actions.nextBoundary,
+	'Shift+KeyJ': actions.previousBoundary,
+	KeyT: actions.toggleRuleEditor,
+	KeyP: actions.togglePassEditor,
+	KeyW: actions.nextWeights,
+	'Shift+KeyW': actions.previousWeights,
+	KeyG: actions.toggleWeightEditor,
+	KeyE: actions.exportImage,
+	KeyX: actions.toggleRecording,
+	'Shift+KeyX': actions.changeRecordingSettings,
+	KeyF: actions.saveFavorite,
+	KeyL: actions.toggleFavorites,
+	KeyA: actions.toggleFinder,
+	'Shift+KeyA': actions.toggleSearch,
+	KeyB: actions.toggleBrush,
+	'Shift+KeyB': actions.toggleBrushShape,
+	BracketRight: () => actions.setBrushRadius(brush.radius + 1),
+	BracketLeft: () => actions.setBrushRadius(brush.radius - 1),
+	...Object.fromEntries(
+		Array.from({ length: 10 }, (_, digit) => [`Digit${digit}`, () => actions.setBrushState(digit)])
+	),
+	Backquote: () => actions.setBrushState(-1),
+	Space: actions.togglePause,
+	KeyY: actions.increaseSpeed,
+	'Shift+KeyY': actions.decreaseSpeed,
+	Period: actions.step,
+	'Shift+Period': actions.runGenerations,
+	Backslash: actions.toggleStats,
+	'Shift+ArrowUp': actions.zoomIn,
+	'Shift+ArrowDown': actions.zoomOut,
+	ArrowUp: () => actions.pan([0, -PAN_STEP]),
+	ArrowDown: () => actions.pan([0, PAN_STEP]),
+	ArrowLeft: () => actions.pan([PAN_STEP, 0]),
+	ArrowRight: () => actions.pan([-PAN_STEP, 0]),
+	KeyZ: actions.resetView,
+	'Shift+KeyZ': actions.toggleCellGrid,
+	Semicolon: actions.nextTiles,
+	Comma: actions.nextDisplayMode,
+	'Shift+Comma': actions.previousDisplayMode,
+	KeyM: actions.toggleControlPanel,
+	'$mod+KeyZ': actions.undo,
+	'$mod+Shift+KeyZ': actions.redo,
+	KeyH: actions.toggleHistory,
+	'Shift+?': actions.toggleInstructions,
+	Escape: actions.hideOverlays,
 });
 
 const instructionsContainer = document.getElementById('instructions');
@@ -146,14 +695,457 @@ instructionsContainer.querySelector('button').addEventListener('click', () => {
 	instructionsContainer.classList.remove('show');
 });
 
+const undoHistory = createUndoHistory({
+	container: document.getElementById('history'),
+	onApply: config => {
+		applyConfig(decodeConfig(config), { keepGrid: true });
+		window.history.replaceState(null, '', `#${config}`);
+	},
+});
+
+const favorites = createFavorites({
+	container: document.getElementById('favorites'),
+	onLoad: entry => {
+		const config = decodeConfig(entry.config);
+		if (!config) return showError();
+		applyConfig(config);
+		updateHash();
+		showInfo(`Loaded ${entry.name}`);
+	},
+	onError: showError,
+});
+
+const finder = createFinder({
+	container: document.getElementById('finder'),
+	startRun: () => {
+		setSeed(randomSeed());
+		setPalette(palette); // Reseed the jitter.
+		updateUniforms();
+		initBuffers();
+		// Runs aren’t recorded in the undo history; loading a candidate is.
+		writeHash();
+	},
+	readGrid: () => ({ grid: readState(), width: gl.canvas.width, nStates }),
+	getSnapshot,
+	onLoad: candidate => {
+		applyConfig(decodeConfig(candidate.config));
+		updateHash();
+		showInfo('Loaded candidate');
+	},
+});
+
+const statistics = createStatistics({
+	container: document.getElementById('statistics'),
+	getColors: () => colors,
+	getExportName: () => `ca-finder-${seed}`,
+});
+
+const breeding = createBreeding({
+	container: document.getElementById('breeding'),
+	getParent: () => ({ options: getUpdateOptions(), passes, colors }),
+	getInitialGrid,
+	mutate,
+	onPick: options => {
+		applyRuleSet(options);
+		updateHash();
+	},
+	onStepBack: entry => {
+		applyConfig(decodeConfig(entry.config));
+		updateHash();
+		showInfo('Back to an earlier generation');
+	},
+	getSnapshot,
+});
+
+const passEditor = createPassEditor({
+	container: document.getElementById('pass-editor'),
+	getPasses: () => passes,
+	onChange: newPasses => {
+		passes = newPasses;
+		updatePasses();
+		updateHash();
+	},
+	onToggleOwnRules: (idx, hasOwnRules) => {
+		passes = passes.map((pass, i) => {
+			if (i !== idx) return pass;
+			const { weights: _weights, rules: _rules, ...sharedPass } = pass;
+			if (!hasOwnRules) return sharedPass;
+			// Start from a copy of the shared weights.
+			const passWeights = weights.slice(0, nStates);
+			return { ...sharedPass, weights: passWeights, rules: generatePassRules(pass, passWeights) };
+		});
+		updatePasses();
+		updateHash();
+	},
+	onRerollRules: idx => {
+		passes = passes.map((pass, i) => (i === idx ? { ...pass, rules: generatePassRules(pass, pass.weights) } : pass));
+		updatePasses();
+		updateHash();
+		showInfo(`Pass ${idx + 1} rules changed`);
+	},
+	// Fill a pass’s own weights from a random distribution, with new rules to match.
+	onRerollWeights: idx => {
+		const pass = passes[idx];
+		const passWeights = new Float32Array(nStates);
+		const distributionIdx = Math.floor(random() * weightDistributions.length);
+		const label = fillWeights(passWeights, distributionIdx, DISTRIBUTION_MAX_WEIGHT, random, nStates);
+		if (!fitsRuleTable({ weights: passWeights, neighborhood: pass.neighborhood ?? neighborhood })) return;
+		passes = passes.map((otherPass, i) =>
+			i === idx ? { ...pass, weights: passWeights, rules: generatePassRules(pass, passWeights) } : otherPass
+		);
+		updatePasses();
+		updateHash();
+		showInfo(`Pass ${idx + 1} weights: ${label}`);
+	},
+});
+
+const controlPanel = createControlPanel({
+	container: document.getElementById('controls'),
+	toggleButton: document.getElementById('show-controls'),
+	sections: [
+		{
+			heading: 'Simulation',
+			controls: [
+				{ type: 'button', label: 'Undo', onClick: actions.undo },
+				{ type: 'button', label: 'Redo', onClick: actions.redo },
+				{ type: 'button', label: 'History', onClick: actions.toggleHistory },
+				{ type: 'button', label: () => (isPaused ? 'Play' : 'Pause'), onClick: actions.togglePause },
+				{ type: 'button', label: 'Step', onClick: actions.step },
+				{ type: 'button', label: 'Run generations', onClick: actions.runGenerations },
+				{
+					type: 'stepper',
+					label: 'Speed',
+					value: getSpeedLabel,
+					onDecrement: actions.decreaseSpeed,
+					onIncrement: actions.increaseSpeed,
+				},
+				{ type: 'button', label: 'Change rules', onClick: actions.changeRules },
+				{ type: 'button', label: 'Mutate rules', onClick: actions.mutate },
+				{ type: 'button', label: 'Breed rules', onClick: actions.toggleBreeding },
+				{ type: 'button', label: 'Edit rules', onClick: actions.toggleRuleEditor },
+				{ type: 'button', label: 'Scramble pixels', onClick: actions.scramble },
+				{
+					type: 'stepper',
+					label: 'States',
+					value: () => nStates,
+					onDecrement: actions.decreaseStates,
+					onIncrement: actions.increaseStates,
+				},
+				{
+					type: 'stepper',
+					label: 'Weights',
+					value: () => weightDistributions[nextWeightsIdx].label,
+					onDecrement: actions.previousWeights,
+					onIncrement: actions.nextWeights,
+				},
+				{ type: 'button', label: 'Edit weights', onClick: actions.toggleWeightEditor },
+				{
+					type: 'range',
+					label: 'Cell inertia',
+					min: 0,
+					max: 1,
+					step: 0.05,
+					value: () => cellInertia,
+					format: value => `${Math.round(value * 100)}%`,
+					onInput: actions.setInertia,
+				},
+				{
+					type: 'range',
+					label: 'Neighbor range',
+					min: 1,
+					max: MAX_NEIGHBOR_RANGE,
+					step: 1,
+					value: () => neighborRange,
+					onInput: actions.setNeighborRange,
+				},
+				{
+					type: 'stepper',
+					label: 'Neighborhood',
+					value: () => neighborhoods[neighborhood].label,
+					onDecrement: actions.previousNeighborhood,
+					onIncrement: actions.nextNeighborhood,
+				},
+				{ type: 'button', label: 'Draw neighborhood', onClick: actions.toggleNeighborhoodEditor },
+				{
+					type: 'stepper',
+					label: 'Edges',
+					value: () => boundaries[boundary].label,
+					onDecrement: actions.previousBoundary,
+					onIncrement: actions.nextBoundary,
+				},
+				{
+					// Only used by fixed borders.
+					type: 'stepper',
+					label: 'Border state',
+					value: () => (boundary === 'fixed' ? borderState : '–'),
+					onDecrement: () => actions.setBorderState(borderState - 1),
+					onIncrement: () => actions.setBorderState(borderState + 1),
+				},
+				{ type: 'button', label: 'Edit passes', onClick: actions.togglePassEditor },
+			],
+		},
+		{
+			heading: 'Seeding',
+			controls: [
+				{
+					type: 'stepper',
+					label: 'Mode',
+					value: () => seedingModes[seeding].label,
+					onDecrement: actions.previousSeeding,
+					onIncrement: actions.nextSeeding,
+				},
+				{
+					type: 'range',
+					label: 'Seed density',
+					min: 0.01,
+					max: 1,
+					step: 0.01,
+					value: () => seedDensity,
+					format: value => `${Math.round(value * 100)}%`,
+					onInput: actions.setSeedDensity,
+				},
+				{ type: 'button', label: 'Load image', onClick: actions.loadSeedImage },
+				{ type: 'button', label: 'Reseed', onClick: actions.reseed },
+			],
+		},
+		{
+			heading: 'Display',
+			controls: [
+				{
+					type: 'stepper',
+					label: 'Palette',
+					value: () => `${nextPaletteIdx + 1} / ${paletteOrder.length}`,
+					onDecrement: actions.previousPalette,
+					onIncrement: actions.nextPalette,
+				},
+				{ type: 'button', label: 'Edit palette', onClick: actions.togglePaletteEditor },
+				{
+					type: 'stepper',
+					label: 'Show',
+					value: () => displayModes[displayMode].label,
+					onDecrement: actions.previousDisplayMode,
+					onIncrement: actions.nextDisplayMode,
+				},
+				{
+					// Zoom doubles / halves, like density.
+					type: 'range',
+					label: 'Zoom',
+					min: 0,
+					max: Math.log2(MAX_ZOOM),
+					step: 1,
+					value: () => Math.round(Math.log2(view.zoom)),
+					format: value => `${Math.pow(2, value) * 100}%`,
+					onInput: value => actions.setZoom(Math.pow(2, value)),
+				},
+				{
+					type: 'stepper',
+					label: 'Tile preview',
+					value: () => (view.tiles === 1 ? 'off' : `${view.tiles}×${view.tiles}`),
+					onDecrement: () => actions.setTiles(view.tiles - 1),
+					onIncrement: () => actions.setTiles(view.tiles + 1),
+				},
+				{
+					type: 'button',
+					label: () => (view.showGrid ? 'Hide cell grid' : 'Show cell grid'),
+					onClick: actions.toggleCellGrid,
+				},
+				{ type: 'button', label: 'Reset view', onClick: actions.resetView },
+				{
+					// Density doubles / halves, so the slider works in powers of two.
+					type: 'range',
+					label: 'Density',
+					min: Math.log2(MIN_DENSITY),
+					max: Math.log2(MAX_DENSITY),
+					step: 1,
+					value: () => Math.log2(resolutionMultiplier),
+					format: value => `${Math.pow(2, value) * 100}%`,
+					onInput: value => actions.setDensity(Math.pow(2, value)),
+				},
+			],
+		},
+		{
+			heading: 'Brush',
+			controls: [
+				{ type: 'button', label: () => (isBrushMode ? 'Stop painting' : 'Paint'), onClick: actions.toggleBrush },
+				{
+					type: 'stepper',
+					label: 'State',
+					value: () => (brush.state < 0 ? 'random' : brush.state === 0 ? 'eraser' : brush.state),
+					onDecrement: () => actions.setBrushState(Math.max(-1, brush.state - 1)),
+					onIncrement: () => actions.setBrushState(brush.state + 1),
+				},
+				{
+					type: 'range',
+					label: 'Size',
+					min: 0,
+					max: MAX_BRUSH_RADIUS,
+					step: 1,
+					value: () => brush.radius,
+					onInput: actions.setBrushRadius,
+				},
+				{
+					type: 'button',
+					label: () => (brush.isCircle ? 'Shape: circle' : 'Shape: square'),
+					onClick: actions.toggleBrushShape,
+				},
+			],
+		},
+		{
+			heading: 'Save and share',
+			controls: [
+				{ type: 'button', label: 'Save to favorites', onClick: actions.saveFavorite },
+				{ type: 'button', label: 'Favorites library', onClick: actions.toggleFavorites },
+				{ type: 'button', label: 'Find rule sets', onClick: actions.toggleFinder },
+				{ type: 'button', label: 'Statistics', onClick: actions.toggleStatistics },
+				{ type: 'button', label: 'Export PNG', onClick: actions.exportImage },
+				{
+					type: 'button',
+					label: () => (recording ? 'Stop recording' : 'Record animation'),
+					onClick: actions.toggleRecording,
+				},
+				{ type: 'button', label: 'Recording settings', onClick: actions.changeRecordingSettings },
+				{ type: 'button', label: 'Help', onClick: actions.toggleInstructions },
+			],
+		},
+	],
+});
+
+function hideOverlays() {
+	instructionsContainer.classList.remove('show');
+	favorites.hide();
+	undoHistory.hide();
+	finder.hide();
+	breeding.hide();
+	neighborhoodEditor.hide();
+	ruleEditor.hide();
+	weightEditor.hide();
+	paletteEditor.hide();
+	passEditor.hide();
+}
+
+const neighborhoodEditor = createNeighborhoodEditor({
+	container: document.getElementById('neighborhood-editor'),
+	getNeighborhood: () => ({ neighborRange, neighborhood, customMask }),
+	onChange: newCustomMask => {
+		if (!fitsRuleTable({ neighborhood: 'custom', customMask: newCustomMask })) return neighborhoodEditor.update();
+		customMask = newCustomMask;
+		setNeighborhood('custom');
+		updateHash();
+		showInfo(`Custom neighborhood: ${nNeighbors} neighbors`);
+	},
+});
+
+const ruleEditor = createRuleEditor({
+	container: document.getElementById('rule-editor'),
+	getRuleTable: () => ({ rules, nRules, minNeighborWeight, nStates, colors, lockedSums }),
+	getSumCounts: () => {
+		// Tally the shared rule table’s sums over every pass that uses it. Later
+		// passes see the grid before the first pass runs, so this is approximate.
+		const { width, height } = gl.canvas;
+		const grid = readState();
+		const sharedOptions = { ...getUpdateOptions(), rules };
+		const sumCounts = new Map();
+		passes
+			.filter(pass => !pass.rules)
+			.forEach(pass => {
+				const options = resolvePassOptions(pass, sharedOptions);
+				countNeighborSums(grid, width, height, options, pass.gridSize, pass.offset).forEach((count, sum) => {
+					sumCounts.set(sum, (sumCounts.get(sum) ?? 0) + count);
+				});
+			});
+		return sumCounts;
+	},
+	onChange: setRule,
+	onToggleLock: sum => {
+		if (lockedSums.has(sum)) lockedSums.delete(sum);
+		else lockedSums.add(sum);
+		ruleEditor.update();
+	},
+});
+
+const weightEditor = createWeightEditor({
+	container: document.getElementById('weight-editor'),
+	maxWeight: MAX_WEIGHT,
+	getWeights: () => ({ weights, nStates, colors, weightsIdx: nextWeightsIdx }),
+	onChange: (state, weight) => {
+		const newWeights = weights.slice();
+		newWeights[state] = weight;
+		if (!fitsRuleTable({ weights: newWeights })) return weightEditor.update();
+		weights.set(newWeights);
+		// Keep every sum’s rule, so nudging a weight doesn’t reroll the table.
+		updateUniforms(
+			undefined,
+			Array.from({ length: nRules }, (_, ruleIdx) => ruleIdx + minNeighborWeight)
+		);
+		updateHash();
+	},
+	onDistribution: weightsIdx => {
+		nextWeightsIdx = weightsIdx;
+		const label = updateWeights(0);
+		updateHash();
+		showInfo(`Weights: ${label}`);
+	},
+});
+
+const paletteEditor = createPaletteEditor({
+	container: document.getElementById('palette-editor'),
+	maxColors: MAX_N_STATES,
+	getPalette: () => ({ palette, colorFill, isCustom: isCustomPalette() }),
+	onChange: newPalette => {
+		setPalette(newPalette);
+		updateHash();
+	},
+	onFillChange: newColorFill => {
+		colorFill = newColorFill;
+		setPalette(palette);
+		updateHash();
+	},
+	onSave: () => {
+		setCustomPalettes([...customPalettes, palette]);
+		paletteIdx = allPalettes.length - 1;
+		nextPaletteIdx = paletteOrder.indexOf(paletteIdx);
+		setPalette(palette);
+		updateHash();
+		showInfo('Palette saved');
+	},
+	onDelete: () => {
+		if (!isCustomPalette()) return;
+		setCustomPalettes(customPalettes.filter((_, i) => i !== paletteIdx - palettes.length));
+		// Move on to whichever palette took its place.
+		updateColors(0);
+		updateHash();
+		showInfo('Palette deleted');
+	},
+	onError: showError,
+});
+
+const seedImageInput = document.getElementById('seed-image');
+seedImageInput.addEventListener('change', async () => {
+	const [file] = seedImageInput.files;
+	seedImageInput.value = '';
+	if (!file) return;
+	try {
+		seedImage = await createImageBitmap(file);
+	} catch (e) {
+		console.error('Could not load seed image:', e);
+		return showError();
+	}
+	actions.setSeeding('image');
+});
+
+// Errors are shown briefly, unless they’re `persistent`, in which case they
+// stay until `hideError()`.
 let hideErrorTimeout;
 const errorContainer = document.getElementById('error');
-function showError() {
+function showError(message = '!', { persistent = false } = {}) {
 	clearTimeout(hideErrorTimeout);
+	errorContainer.textContent = message;
 	errorContainer.classList.add('show');
-	hideErrorTimeout = window.setTimeout(() => {
-		errorContainer.classList.remove('show');
-	}, 2000);
+	if (!persistent) hideErrorTimeout = window.setTimeout(hideError, 2000);
+}
+
+function hideError() {
+	errorContainer.classList.remove('show');
 }
 
 let hideInfoTimeout;
@@ -162,6 +1154,7 @@ function showInfo(text) {
 	clearTimeout(hideInfoTimeout);
 	infoContainer.textContent = text;
 	infoContainer.classList.add('show');
+	undoHistory.label(text);
 	hideInfoTimeout = window.setTimeout(() => {
 		infoContainer.classList.remove('show');
 	}, 2000);
@@ -169,76 +1162,228 @@ function showInfo(text) {
 
 const canvas = document.getElementById('canvas');
 const gl = canvas.getContext('webgl2', { antialias: false });
+// Nothing below works without these, so explain what’s missing and stop.
+const missingCapabilities = getMissingCapabilities(gl);
+if (missingCapabilities.length) {
+	const unsupportedContainer = document.getElementById('unsupported');
+	unsupportedContainer.querySelector('.unsupported-list').replaceChildren(
+		...missingCapabilities.map(text => {
+			const item = document.createElement('li');
+			item.textContent = text;
+			return item;
+		})
+	);
+	document.getElementById('instructions').classList.remove('show');
+	unsupportedContainer.classList.add('show');
+	throw new Error(`Unsupported: ${missingCapabilities.join(' ')}`);
+}
 gl.imageSmoothingEnabled = false;
 
 const weights = new Float32Array(MAX_N_STATES);
-const rules = new Uint8Array(MAX_N_RULES);
+const rules = new Uint16Array(MAX_N_RULES);
 let nStates = 8;
 let cellInertia = 0.8;
-let isVonNeumann = false;
-let neighborRange, minNeighborWeight;
+let neighborhood = 'moore';
+let customMask = new Set();
+// Cells past the edges of the grid; see boundaries.js. `borderState` is what
+// they read as with fixed borders.
+let boundary = 'wrap';
+let borderState = 0;
+// Zoom, pan and tile preview; see view.js. Arrow keys pan by `PAN_STEP` screens.
+const view = createView();
+const PAN_STEP = 0.1;
+// What the display shows; see displayModes.js.
+let displayMode = 'states';
+function cycleDisplayMode(direction) {
+	const nModes = DISPLAY_MODE_NAMES.length;
+	return DISPLAY_MODE_NAMES[(nModes + DISPLAY_MODE_NAMES.indexOf(displayMode) + direction) % nModes];
+}
+let resolutionMultiplier = 0.5;
+let neighborRange, nNeighbors, minNeighborWeight, nRules;
+// Rule table entries that aren’t rerolled, keyed by neighbor sum since the
+// table’s bounds move when the weights or neighborhood change.
+const lockedSums = new Set();
+// Each pass runs the update shader once per frame, in order. Passes can
+// override the neighborhood shape, and have their own weights and rules.
+let passes = DEFAULT_PASSES.map(pass => ({ ...pass }));
+let resolvedPasses = [];
 
-const displayShaderInfo = createProgramInfo(gl, [vsSource, displayFsSource]);
-const updateShaderInfos = stackedUpdates.map(args => createProgramInfo(gl, [vsSource, getUpdateFsSource(...args)]));
+// Every random choice (rules, weights, colors, grid) is drawn from a PRNG
+// derived from `seed`, so a shared link reproduces the exact same run.
+let seed, random;
+function setSeed(newSeed) {
+	seed = newSeed;
+	random = createRandom(seed);
+}
+setSeed(randomSeed());
 
-const N_WEIGHT_DISTRIBUTIONS = 4;
-let nextWeightsIdx = Math.floor(Math.random() * N_WEIGHT_DISTRIBUTIONS);
-function updateWeights(direction = 1) {
-	let returnLabel = '';
-	nextWeightsIdx = (N_WEIGHT_DISTRIBUTIONS + nextWeightsIdx + direction) % N_WEIGHT_DISTRIBUTIONS;
-	switch (nextWeightsIdx) {
-		case 0:
-			for (let i = 0; i < MAX_N_STATES; ++i) {
-				weights[i] = (i % 2) * MAX_WEIGHT;
-			}
-			returnLabel = '0, 1, 0, 1…';
-			break;
-		case 1:
-			weights.set(generateFurthestSubsequentDistanceArray(MAX_N_STATES, [0, MAX_WEIGHT]));
-			returnLabel = '0, 1, ½, ¾…';
-			break;
-		case 2:
-			const pattern = [0, 0.5, 1, 0.5, 0].map(n => n * MAX_WEIGHT);
-			for (let i = 0; i < MAX_N_STATES; ++i) {
-				weights[i] = pattern[i % pattern.length];
-			}
-			returnLabel = '0, ½, 1, ½, 0…';
-			break;
-		case 3:
-			// Random…
-			for (let i = 0; i < MAX_N_STATES; ++i) {
-				weights[i] = Math.random() * MAX_WEIGHT;
-			}
-			returnLabel = 'random';
-			break;
+// How the grid starts out; see seeding.js. The seed image isn’t part of the
+// configuration, so shared image-seeded runs start from random noise.
+let seeding = 'random';
+let seedDensity = 0.1;
+let seedImage = null;
+function cycleSeeding(direction) {
+	const nModes = SEEDING_MODE_NAMES.length;
+	return SEEDING_MODE_NAMES[(nModes + SEEDING_MODE_NAMES.indexOf(seeding) + direction) % nModes];
+}
+
+// Formats for `uploadLookupTable()`. Neighbor offsets are [dx, dy] pairs.
+const lookupFormats = {
+	weights: { internalFormat: gl.R32F, format: gl.RED, type: gl.FLOAT, ArrayType: Float32Array, nComponents: 1 },
+	rules: {
+		internalFormat: gl.R16UI,
+		format: gl.RED_INTEGER,
+		type: gl.UNSIGNED_SHORT,
+		ArrayType: Uint16Array,
+		nComponents: 1,
+	},
+	colors: { internalFormat: gl.RGB32F, format: gl.RGB, type: gl.FLOAT, ArrayType: Float32Array, nComponents: 3 },
+	offsets: { internalFormat: gl.RG8I, format: gl.RG_INTEGER, type: gl.BYTE, ArrayType: Int8Array, nComponents: 2 },
+};
+
+// Upload a flat array of `values` to a lookup texture (see `lookupSource`),
+// which is created unless `texture` is passed. Changing a table only takes
+// another upload.
+function uploadLookupTable({ ArrayType, nComponents, ...format }, values, texture = gl.createTexture()) {
+	const nEntries = Math.max(1, Math.ceil(values.length / nComponents));
+	const width = Math.min(nEntries, LOOKUP_TEXTURE_WIDTH);
+	const height = Math.ceil(nEntries / LOOKUP_TEXTURE_WIDTH);
+	const data = new ArrayType(width * height * nComponents);
+	data.set(values);
+	setTextureFromArray(gl, texture, data, { ...format, width, height });
+	setTextureParameters(gl, texture, { minMag: gl.NEAREST, wrap: gl.CLAMP_TO_EDGE });
+	return texture;
+}
+let colorsTexture;
+
+// Square neighborhoods with at least this range are summed in two passes (see
+// `getRowSumFsSource()`), which takes O(range) texture reads per cell rather
+// than O(range²). The row sums need a float render target.
+const MIN_SEPARABLE_RANGE = 4;
+let canRenderRowSums = Boolean(gl.getExtension('EXT_color_buffer_float'));
+// Row sums need weights that are whole multiples of 2⁻ᵏ for this k.
+const ROW_SUM_FRACTION_BITS = 8;
+
+// Whether every neighbor sum of `passWeights` is exact in a 32-bit float, so
+// it comes out the same in whatever order it’s added up. That needs weights on
+// a fixed binary grid, and the largest sum within 24 bits of that grid. That’s
+// deliberate: the random, sine and most fractional presets (and edited
+// weights) are off the grid, so they always sum one by one, since matching
+// cpu.js bit for bit matters more than the speedup.
+function hasExactSums(passWeights) {
+	const scale = 2 ** ROW_SUM_FRACTION_BITS;
+	let maxWeight = 0;
+	for (let i = 0; i < nStates; ++i) {
+		if (!Number.isInteger(passWeights[i] * scale)) return false;
+		maxWeight = Math.max(maxWeight, Math.abs(passWeights[i]));
 	}
+	return (neighborRange * 2 + 1) ** 2 * maxWeight * scale < 2 ** 24;
+}
 
-	updateUniforms();
-	return returnLabel;
+// Whether `pass` can use the row sums and get the same result as summing the
+// neighbors one by one. That needs exact sums and whole-pixel steps, and since
+// the row sums are centered on cells, the canvas offset has to be wrapped away.
+function canUseRowSums(pass) {
+	return (
+		canRenderRowSums &&
+		pass.hasExactSums &&
+		pass.neighborhood === 'moore' &&
+		neighborRange >= MIN_SEPARABLE_RANGE &&
+		Number.isInteger(pass.gridSize) &&
+		(boundary === 'wrap' || pass.offset.every(offset => offset === 0))
+	);
+}
+
+// Shaders are compiled again if the WebGL context is restored.
+let displayShaderInfo, paintShaderInfo, remapShaderInfo, updateShaderInfo, historyShaderInfo, rowSumShaderInfo;
+function createShaderPrograms() {
+	displayShaderInfo = createShaderProgram('display', displayFsSource);
+	paintShaderInfo = createShaderProgram('paint', paintFsSource);
+	remapShaderInfo = createShaderProgram('remap', remapFsSource);
+	updateShaderInfo = createShaderProgram('update', getUpdateFsSource());
+	historyShaderInfo = createShaderProgram('history', getHistoryFsSource());
+	rowSumShaderInfo = createShaderProgram('row sum', getRowSumFsSource());
+}
+
+// Returns null if the shader doesn’t compile. The full log goes to the console,
+// since it’s too long to show.
+function createShaderProgram(name, fsSource) {
+	return createProgramInfo(gl, [vsSource, fsSource], {
+		errorCallback: message => {
+			console.error(`Could not compile the ${name} shader:`, message);
+			showError(`Could not compile the ${name} shader`, { persistent: true });
+		},
+	});
+}
+createShaderPrograms();
+
+let nextWeightsIdx = Math.floor(random() * weightDistributions.length);
+// Move to the next weight distribution that fits in the rule table, and return
+// a label for it. The first few distributions always fit, so one is found.
+function updateWeights(direction = 1) {
+	const nDistributions = weightDistributions.length;
+	const newWeights = new Float32Array(MAX_N_STATES);
+	const skippedLabels = [];
+	for (let i = 0; i < nDistributions; ++i) {
+		nextWeightsIdx = (nDistributions + nextWeightsIdx + (i ? direction || 1 : direction)) % nDistributions;
+		const label = fillWeights(newWeights, nextWeightsIdx, DISTRIBUTION_MAX_WEIGHT, random, nStates);
+		if (!fitsRuleTable({ weights: newWeights })) {
+			skippedLabels.push(label);
+			continue;
+		}
+
+		weights.set(newWeights);
+		updateUniforms();
+		return skippedLabels.length ? `${label} (skipped ${skippedLabels.join(', ')}: too many rules)` : label;
+	}
 }
 updateWeights(0);
 
 let colors = new Float32Array(MAX_N_STATES * 3);
-let nextPaletteIdx = Math.floor(Math.random() * palettes.length);
+let colorFill = 'jitter';
+// Built-in palettes are cycled in a shuffled order, followed by any saved
+// custom palettes. `paletteIdx` always refers to the canonical index in
+// `allPalettes` (built-ins first) so it can be shared. `palette` holds the
+// current colors, which may have been edited.
+let customPalettes = loadCustomPalettes();
+let allPalettes = [...palettes, ...customPalettes];
+let paletteOrder = palettes.map((_, i) => i);
+shuffleArray(paletteOrder);
+paletteOrder.push(...customPalettes.map((_, i) => palettes.length + i));
+let nextPaletteIdx = Math.floor(random() * palettes.length);
+let paletteIdx, palette;
 function updateColors(direction = 1) {
-	nextPaletteIdx = (palettes.length + nextPaletteIdx + direction) % palettes.length;
-	const normalizedPalette = palettes[nextPaletteIdx].map(hexToNormalizedRGB);
-	for (let i = 0; i < MAX_N_STATES; ++i) {
-		const rgbComponents = [...normalizedPalette[i % normalizedPalette.length]];
-		if (i >= normalizedPalette.length) {
-			// Add a small random offset to the RGB components for variety.
-			for (let j = 0; j < rgbComponents.length; ++j) {
-				rgbComponents[j] = Math.max(0, Math.min(1, rgbComponents[j] + Math.random() * 0.1 - 0.05));
-			}
-		}
-		const rIdx = i * 3;
-		colors[rIdx] = rgbComponents[0];
-		colors[rIdx + 1] = rgbComponents[1];
-		colors[rIdx + 2] = rgbComponents[2];
-	}
+	nextPaletteIdx = (paletteOrder.length + nextPaletteIdx + direction) % paletteOrder.length;
+	paletteIdx = paletteOrder[nextPaletteIdx];
+	setPalette([...allPalettes[paletteIdx]]);
 }
 updateColors(0);
 
+function setPalette(newPalette) {
+	palette = newPalette;
+	// Jitter is seeded separately so the colors only depend on the seed and palette.
+	colors = getColors(palette, MAX_N_STATES, createRandom(seed + paletteIdx), colorFill);
+	colorsTexture = uploadLookupTable(lookupFormats.colors, colors, colorsTexture);
+	ruleEditor.update();
+	weightEditor.update();
+	paletteEditor.update();
+}
+
+function setCustomPalettes(newCustomPalettes) {
+	customPalettes = newCustomPalettes;
+	if (!saveCustomPalettes(customPalettes)) showError();
+	allPalettes = [...palettes, ...customPalettes];
+	paletteOrder = [
+		...paletteOrder.filter(idx => idx < palettes.length),
+		...customPalettes.map((_, i) => palettes.length + i),
+	];
+}
+
+// True if the current colors are an unedited saved custom palette.
+function isCustomPalette() {
+	return paletteIdx >= palettes.length && allPalettes[paletteIdx]?.join() === palette.join();
+}
+
 function setNeighborRange(newNeighborRange) {
 	neighborRange = newNeighborRange;
 
@@ -246,81 +1391,444 @@ function setNeighborRange(newNeighborRange) {
 }
 setNeighborRange(2);
 
-function updateUniforms() {
-	const nNeighbors = Math.pow(neighborRange * 2 + 1, 2) - 1;
+function setNeighborhood(newNeighborhood) {
+	neighborhood = newNeighborhood;
 
-	const { minWeight, maxWeight } = Array.from(weights.slice(0, nStates)).reduce(
-		(acc, weight) => {
-			if (weight < acc.minWeight) acc.minWeight = weight;
-			if (weight > acc.maxWeight) acc.maxWeight = weight;
-			return acc;
-		},
-		{ minWeight: Infinity, maxWeight: -Infinity }
+	updateUniforms();
+	neighborhoodEditor.update();
+}
+
+const edgesContainer = document.getElementById('edges');
+function setBoundary(newBoundary) {
+	boundary = newBoundary;
+	updateView();
+}
+
+// Outline the grid when the output won’t tile. The outline is drawn by the
+// display shader instead when zoomed, panned or tiled, so it follows the grid.
+function updateView() {
+	edgesContainer.classList.toggle('show', !boundaries[boundary].tiles && isDefaultView(view));
+}
+
+function cycleBoundary(direction) {
+	const nBoundaries = BOUNDARY_NAMES.length;
+	return BOUNDARY_NAMES[(nBoundaries + BOUNDARY_NAMES.indexOf(boundary) + direction) % nBoundaries];
+}
+
+function getBoundaryLabel() {
+	const { label, tiles } = boundaries[boundary];
+	return tiles ? label : `${label} (won’t tile)`;
+}
+
+// Returns false if the new neighborhood was skipped.
+function cycleNeighborhood(direction = 1) {
+	const nNeighborhoods = NEIGHBORHOOD_NAMES.length;
+	const idx = NEIGHBORHOOD_NAMES.indexOf(neighborhood);
+	const newNeighborhood = NEIGHBORHOOD_NAMES[(nNeighborhoods + idx + direction) % nNeighborhoods];
+	if (!fitsRuleTable({ neighborhood: newNeighborhood })) return false;
+	setNeighborhood(newNeighborhood);
+	return true;
+}
+
+// Check that the rule table still fits in MAX_N_RULES after changing any of
+// the weights, number of states, neighbor range or neighborhood. If it
+// wouldn’t, warn so the change can be skipped before it’s applied.
+function fitsRuleTable(changes) {
+	const config = { weights, nStates, neighborRange, neighborhood, customMask, ...changes };
+	const newNNeighbors = getNeighborOffsets(config.neighborRange, config.neighborhood, config.customMask).length;
+	const { nRules: newNRules } = getRuleBounds(config.weights, config.nStates, newNNeighbors);
+	if (newNRules <= MAX_N_RULES) return true;
+
+	console.warn('Too many rules:', newNRules, config);
+	showInfo(`Too many rules: that needs ${newNRules}, but only ${MAX_N_RULES} fit`);
+	return false;
+}
+
+// Change the number of states, refilling the weights since some distributions
+// depend on it. Passes with their own weights keep them for the states they
+// had, take the new shared weights for the rest and get new rules to match.
+// When shrinking, cells and locked rules that point at removed states wrap
+// around, so the simulation carries on. Returns false if the rule table
+// wouldn’t fit.
+function setNStates(newNStates) {
+	const newWeights = new Float32Array(MAX_N_STATES);
+	fillWeights(newWeights, nextWeightsIdx, DISTRIBUTION_MAX_WEIGHT, random, newNStates);
+	const newPassWeights = passes.map(pass => {
+		if (!pass.weights) return undefined;
+		const passWeights = newWeights.slice(0, newNStates);
+		passWeights.set(pass.weights.slice(0, newNStates));
+		return passWeights;
+	});
+	const fits =
+		fitsRuleTable({ weights: newWeights, nStates: newNStates }) &&
+		passes.every(
+			(pass, i) =>
+				!pass.weights ||
+				fitsRuleTable({
+					weights: newPassWeights[i],
+					nStates: newNStates,
+					neighborhood: pass.neighborhood ?? neighborhood,
+				})
+		);
+	if (!fits) return false;
+
+	const isShrinking = newNStates < nStates;
+	nStates = newNStates;
+	weights.set(newWeights);
+	brush.state = Math.min(brush.state, nStates - 1);
+	borderState = Math.min(borderState, nStates - 1);
+	passes = passes.map((pass, i) =>
+		pass.weights ? { ...pass, weights: newPassWeights[i], rules: generatePassRules(pass, newPassWeights[i]) } : pass
 	);
+	if (isShrinking) {
+		const wrapRule = rule => (rule > nStates ? ((rule - 1) % nStates) + 1 : rule);
+		// The shared rules only matter for locked entries, since the rest are rerolled.
+		rules.set(rules.map(wrapRule));
+		if (textures.length) runRemapShader();
+	}
+	updateUniforms();
+	return true;
+}
 
-	minNeighborWeight = Math.floor(minWeight * nNeighbors);
-	const maxNeighborWeight = Math.floor(maxWeight * nNeighbors);
-	const nRules = maxNeighborWeight - minNeighborWeight + 1;
+// Recompute the rule bounds from the current weights and neighborhood. If
+// `newRules` isn’t passed, a new rule array is generated, keeping the entries
+// for `keptSums` (by default, the locked ones).
+function updateUniforms(newRules, keptSums = lockedSums) {
+	const previousRules = rules.slice();
+	const previousMinNeighborWeight = minNeighborWeight;
+	nNeighbors = getNeighborOffsets(neighborRange, neighborhood, customMask).length;
+	({ minNeighborWeight, nRules } = getRuleBounds(weights, nStates, nNeighbors));
 
+	// Changes should be checked with `fitsRuleTable()` first; this catches anything that wasn’t, like shared links.
 	if (nRules > MAX_N_RULES) {
 		console.error('Too many rules:', nRules, weights);
 		showError();
 	}
 
-	const newRules = Array.from({ length: nRules }, (_, i) => {
-		if (i < nStates && cellInertia < 1) return i + 1;
-		return Math.random() < cellInertia ? 0 : Math.floor(Math.random() * (nStates + 1));
+	if (!newRules) {
+		newRules = generateRules(nRules, nStates, cellInertia, random);
+		keptSums.forEach(sum => {
+			const ruleIdx = sum - minNeighborWeight;
+			const previousRuleIdx = sum - previousMinNeighborWeight;
+			if (ruleIdx >= 0 && ruleIdx < nRules && previousRuleIdx >= 0 && previousRuleIdx < MAX_N_RULES) {
+				newRules[ruleIdx] = previousRules[previousRuleIdx];
+			}
+		});
+	}
+	rules.fill(0);
+	rules.set(newRules.slice(0, MAX_N_RULES), 0);
+	updatePasses();
+	ruleEditor.update();
+	weightEditor.update();
+}
+
+// Edit a single entry of the shared rule table, without touching the rest.
+function setRule(ruleIdx, rule) {
+	rules[ruleIdx] = rule;
+	// The passes’ copies are what get uploaded to `u_rules`.
+	resolvedPasses.forEach((resolvedPass, i) => {
+		if (passes[i].rules) return;
+		resolvedPass.rules[ruleIdx] = rule;
+		uploadLookupTable(lookupFormats.rules, resolvedPass.rules, resolvedPass.rulesTexture);
 	});
-	shuffleArray(newRules);
-	rules.set(newRules, 0);
+	ruleEditor.update();
+	updateHash();
+}
+
+function updatePasses() {
+	resolvedPasses.forEach(({ weightsTexture, rulesTexture, offsetsTexture }) => {
+		[weightsTexture, rulesTexture, offsetsTexture].forEach(texture => gl.deleteTexture(texture));
+	});
+	const sharedOptions = {
+		weights,
+		rules: rules.slice(0, nRules),
+		minNeighborWeight,
+		neighborRange,
+		neighborhood,
+		customMask,
+		nStates,
+	};
+	resolvedPasses = passes.map(pass => {
+		const options = resolvePassOptions(pass, sharedOptions);
+		const passRules = Uint16Array.from(options.rules.slice(0, MAX_N_RULES));
+		const offsets = getNeighborOffsets(neighborRange, options.neighborhood, customMask);
+		return {
+			gridSize: pass.gridSize,
+			offset: pass.offset,
+			neighborhood: options.neighborhood,
+			rules: passRules,
+			nRules: passRules.length,
+			nNeighbors: offsets.length,
+			minNeighborWeight: options.minNeighborWeight,
+			hasExactSums: hasExactSums(options.weights),
+			weightsTexture: uploadLookupTable(lookupFormats.weights, options.weights.slice(0, MAX_N_STATES)),
+			rulesTexture: uploadLookupTable(lookupFormats.rules, passRules),
+			offsetsTexture: uploadLookupTable(lookupFormats.offsets, offsets.flat()),
+		};
+	});
+	passEditor.update();
+}
+
+function generatePassRules(pass, passWeights) {
+	const passNeighbors = getNeighborOffsets(neighborRange, pass.neighborhood ?? neighborhood, customMask).length;
+	const { nRules: passNRules } = getRuleBounds(passWeights, nStates, passNeighbors);
+	return Uint16Array.from(generateRules(passNRules, nStates, cellInertia, random));
+}
+
+// The shared update options, in the form used by cpu.js.
+function getUpdateOptions() {
+	return {
+		nStates,
+		weights,
+		rules: rules.slice(0, nRules),
+		minNeighborWeight,
+		neighborRange,
+		neighborhood,
+		customMask,
+		boundary,
+		borderState,
+	};
+}
+
+// Mutate a rule set with the current inertia and locks. If the mutated weights
+// would overflow the rule table, only the rules are mutated.
+function mutate(options, settings) {
+	const mutationSettings = {
+		...settings,
+		weightScale: DISTRIBUTION_MAX_WEIGHT,
+		maxWeight: MAX_WEIGHT,
+		cellInertia,
+		lockedSums,
+	};
+	const child = mutateRuleSet(options, mutationSettings, random);
+	if (child.rules.length <= MAX_N_RULES) return child;
+	return mutateRuleSet(options, { ...mutationSettings, weightAmount: 0 }, random);
+}
+
+function applyRuleSet(options) {
+	weights.set(options.weights.subarray(0, MAX_N_STATES));
+	updateUniforms(options.rules);
+}
+
+function getConfig() {
+	return {
+		seed,
+		nStates,
+		cellInertia,
+		neighborRange,
+		neighborhood,
+		customMask,
+		boundary,
+		borderState,
+		paletteIdx,
+		// Only built-in palettes can be shared by index.
+		palette: palettes[paletteIdx]?.join() === palette.join() ? undefined : palette,
+		colorFill,
+		density: resolutionMultiplier,
+		weightsIdx: nextWeightsIdx,
+		seeding,
+		seedDensity,
+		weights: weights.slice(0, nStates),
+		rules: rules.slice(0, nRules),
+		passes,
+	};
+}
+
+// Apply a (possibly partial) configuration, eg. one decoded from the URL hash.
+// With `keepGrid`, the cells carry on unless the seed, seeding or number of states changed.
+function applyConfig(config, { keepGrid = false } = {}) {
+	config = clampConfig(config, { nStates, nPalettes: allPalettes.length });
+	const needsNewGrid =
+		!keepGrid ||
+		(config.seed ?? seed) !== seed ||
+		(config.seeding ?? seeding) !== seeding ||
+		(config.seedDensity ?? seedDensity) !== seedDensity ||
+		(config.nStates ?? nStates) !== nStates;
+	setSeed(config.seed ?? seed);
+	seeding = config.seeding ?? seeding;
+	seedDensity = config.seedDensity ?? seedDensity;
+	nStates = config.nStates ?? nStates;
+	cellInertia = config.cellInertia ?? cellInertia;
+	neighborRange = config.neighborRange ?? neighborRange;
+	neighborhood = config.neighborhood ?? neighborhood;
+	customMask = config.customMask ?? customMask;
+	setBoundary(config.boundary ?? boundary);
+	borderState = Math.min(config.borderState ?? borderState, nStates - 1);
+	passes = config.passes ?? passes;
+	resolutionMultiplier = config.density ?? resolutionMultiplier;
+	nextWeightsIdx = config.weightsIdx ?? nextWeightsIdx;
+	// Weights that don’t fit in the rule table fall back to the distribution’s,
+	// and the rules that went with them are rerolled.
+	let newRules = config.rules;
+	if (config.weights) {
+		const newWeights = weights.slice();
+		newWeights.set(config.weights.slice(0, MAX_N_STATES));
+		if (fitsRuleTable({ weights: newWeights })) {
+			weights.set(newWeights);
+		} else {
+			fillWeights(weights, nextWeightsIdx, DISTRIBUTION_MAX_WEIGHT, random, nStates);
+			newRules = undefined;
+		}
+	}
+	colorFill = config.colorFill ?? colorFill;
+	if (config.paletteIdx !== undefined) {
+		nextPaletteIdx = paletteOrder.indexOf(config.paletteIdx);
+	}
+	updateColors(0);
+	if (config.palette) setPalette(config.palette);
+	updateUniforms(newRules);
+	neighborhoodEditor.update();
+	if (textures.length && needsNewGrid) initBuffers();
+}
+
+// Write the configuration to the URL hash, and record it in the undo history.
+function updateHash(label) {
+	undoHistory.record(writeHash(), label);
 }
 
-// Update fragment shader.
-function getUpdateFsSource(gridSize = 1, canvasOffset = '0.0') {
+// Write the configuration to the URL hash without recording it, and return it.
+function writeHash() {
+	const config = encodeConfig(getConfig());
+	window.history.replaceState(null, '', `#${config}`);
+	return config;
+}
+
+// Update fragment shader. Keep in sync with the reference implementation in cpu.js.
+function getUpdateFsSource() {
 	return `
 	#version 300 es
 	precision mediump float;
 	precision mediump usampler2D;
 
+	uniform usampler2D u_rules;
+	uniform int u_nRules;
+	uniform int u_minNeighborWeight;
+
+	in vec2 v_texCoord;
+	out uint State;
+
+	${getNeighborSumSource()}
+
+	void main() {
+		uint state = getState(v_texCoord);
+		// Normalize to [0, maxNeighborWeight - minNeighborWeight].
+		int ruleIndex = getNeighborSum() - u_minNeighborWeight;
+		// Sums outside of the rule table (eg. from a pass with its own neighborhood) keep their state.
+		uint newState = ruleIndex >= 0 && ruleIndex < u_nRules ? texelFetch(u_rules, getLookupCoord(ruleIndex), 0).r : 0u;
+
+		if (newState == 0u) {
+			State = state;
+		} else {
+			State = newState - 1u;
+		}
+	}
+	`;
+}
+
+// Looking up cells and their weights, shared by the update, history and row
+// sum shaders. Expects a `v_texCoord` input.
+function getStateSource() {
+	return `
 	uniform usampler2D u_currentStateTexture;
 	uniform vec2 u_resolution;
-	uniform float u_weights[${MAX_N_STATES}];
-	uniform uint u_rules[${MAX_N_RULES}];
-	uniform uint u_minNeighborWeight;
+	uniform int u_boundary;
+	uniform uint u_borderState;
+	uniform highp sampler2D u_weights;
 	uniform int u_neighborRange;
-	uniform bool u_von_neumann;
+	uniform float u_gridSize;
 
-	in vec2 v_texCoord;
-	out uint State;
+	${lookupSource}
 
-	// Function to compute the state of a cell
+	// Move a texture coordinate onto the grid, or return false if it’s past a
+	// fixed border. Keep the edges in sync with boundaries.js.
+	bool wrapCoord(inout vec2 coord) {
+		if (u_boundary == ${BOUNDARY_NAMES.indexOf('wrap')}) {
+			coord = fract(coord); // Wrap the texture coordinates around [0, 1].
+		} else if (u_boundary == ${BOUNDARY_NAMES.indexOf('clamp')}) {
+			coord = clamp(coord, 0.0, 1.0);
+		} else if (u_boundary == ${BOUNDARY_NAMES.indexOf('mirror')}) {
+			coord = 1.0 - abs(1.0 - mod(coord, 2.0));
+		} else {
+			return all(greaterThanEqual(coord, vec2(0.0))) && all(lessThan(coord, vec2(1.0)));
+		}
+		return true;
+	}
+
+	// Function to compute the state of a cell.
 	uint getState(vec2 coord) {
-		coord = fract(coord); // Wrap the texture coordinates around [0, 1].
-		return texture(u_currentStateTexture, coord).r;
+		return wrapCoord(coord) ? texture(u_currentStateTexture, coord).r : u_borderState;
 	}
 
-	void main() {
-		vec2 onePixel = vec2(${gridSize}.0) / u_resolution;
-		vec2 canvasOffset = u_resolution * ${canvasOffset};
-		uint state = getState(v_texCoord);
+	highp float getWeight(uint state) {
+		return texelFetch(u_weights, getLookupCoord(int(state)), 0).r;
+	}
+	`;
+}
 
-		// Count alive neighbors
-		float sum = 0.0;
-		for (int dx = -u_neighborRange; dx <= u_neighborRange; dx++) {
+// The neighbor sum shared by the update and history shaders. Expects a
+// `v_texCoord` input.
+function getNeighborSumSource() {
+	return `
+	${getStateSource()}
+
+	uniform highp isampler2D u_neighborOffsets;
+	uniform int u_nNeighbors;
+	uniform vec2 u_canvasOffset;
+	uniform bool u_useRowSums;
+	uniform highp sampler2D u_rowSums;
+
+	// The sum of the weights across a square neighborhood’s row through a cell,
+	// from the row sum shader.
+	highp float getRowSum(vec2 coord) {
+		if (!wrapCoord(coord)) return float(u_neighborRange * 2 + 1) * getWeight(u_borderState);
+		return texture(u_rowSums, coord).r;
+	}
+
+	// The weighted sum of the current cell’s neighbors.
+	int getNeighborSum() {
+		vec2 onePixel = vec2(u_gridSize) / u_resolution;
+		vec2 coord = v_texCoord + u_resolution * u_canvasOffset;
+
+		highp float sum = 0.0;
+		if (u_useRowSums) {
+			// Add up the rows, then take out the cell itself, which isn’t a neighbor.
 			for (int dy = -u_neighborRange; dy <= u_neighborRange; dy++) {
-				if (dx == 0 && dy == 0) continue;
-				if (u_von_neumann && (abs(dx) + abs(dy) > u_neighborRange)) continue; // Skip corners.
-				sum += u_weights[getState(v_texCoord + canvasOffset + vec2(dx, dy) * onePixel)];
+				sum += getRowSum(coord + vec2(0, dy) * onePixel);
+			}
+			sum -= getWeight(getState(coord));
+		} else {
+			for (int i = 0; i < u_nNeighbors; i++) {
+				ivec2 offset = texelFetch(u_neighborOffsets, getLookupCoord(i), 0).rg;
+				sum += getWeight(getState(coord + vec2(offset) * onePixel));
 			}
 		}
-		uint ruleIndex = uint(sum) - u_minNeighborWeight; // Normalize to [0, maxNeighborWeight - minNeighborWeight].
-		uint newState = u_rules[ruleIndex];
+		// Weights can be negative, so floor rather than truncate.
+		return int(floor(sum));
+	}
+	`;
+}
 
-		if (newState == 0u) {
-			State = state;
-		} else {
-			State = newState - 1u;
+// Row sum fragment shader. The first half of a separable neighbor sum: adds up
+// the weights across each cell’s row of a square neighborhood, including the
+// cell itself. The update shader then adds up the rows.
+function getRowSumFsSource() {
+	return `
+	#version 300 es
+	precision mediump float;
+	precision mediump usampler2D;
+
+	in vec2 v_texCoord;
+	out highp float RowSum;
+
+	${getStateSource()}
+
+	void main() {
+		vec2 onePixel = vec2(u_gridSize) / u_resolution;
+		highp float sum = 0.0;
+		for (int dx = -u_neighborRange; dx <= u_neighborRange; dx++) {
+			sum += getWeight(getState(v_texCoord + vec2(dx, 0) * onePixel));
 		}
+		RowSum = sum;
 	}
 	`;
 }
@@ -340,99 +1848,749 @@ const arrays = {
 		],
 	},
 };
-const bufferInfo = createBufferInfoFromArrays(gl, arrays);
+let bufferInfo = createBufferInfoFromArrays(gl, arrays);
 
-function getRandomTextureData(width, height) {
-	const size = width * height;
-	const data = new Uint8Array(size);
-	for (let i = 0; i < size; ++i) {
-		// Generate a random state.
-		const state = Math.floor(Math.random() * nStates);
-		data[i] = state;
-	}
-	return data;
+const seedImageCanvas = document.createElement('canvas');
+const seedImageContext = seedImageCanvas.getContext('2d', { willReadFrequently: true });
+// Scale the seed image to cover the grid, cropping whichever sides overflow.
+function getSeedImageData(width, height) {
+	seedImageCanvas.width = width;
+	seedImageCanvas.height = height;
+	const scale = Math.max(width / seedImage.width, height / seedImage.height);
+	const imageWidth = seedImage.width * scale;
+	const imageHeight = seedImage.height * scale;
+	seedImageContext.drawImage(seedImage, (width - imageWidth) / 2, (height - imageHeight) / 2, imageWidth, imageHeight);
+	return seedImageContext.getImageData(0, 0, width, height);
 }
 
-function createRandomTexture(gl, width, height) {
+function getInitialGrid(width, height) {
+	// The grid gets its own PRNG so that it only depends on the seed.
+	return getSeedGrid(width, height, nStates, createRandom(seed), seeding, {
+		density: seedDensity,
+		image: seeding === 'image' && seedImage ? getSeedImageData(width, height) : undefined,
+		colors,
+	});
+}
+
+function createStateTexture(gl, width, height, grid) {
 	return createTexture(gl, {
 		width,
 		height,
-		type: gl.UNSIGNED_BYTE,
+		type: gl.UNSIGNED_SHORT,
 		format: gl.RED_INTEGER,
-		internalFormat: gl.R8UI,
+		internalFormat: gl.R16UI,
 		minMag: gl.NEAREST,
 		wrap: gl.CLAMP_TO_EDGE,
-		src: getRandomTextureData(width, height),
+		src: grid,
 	});
 }
 
 // Ping-Pong setup.
 let textures = [];
 let fbos = [];
-function initBuffers() {
+let previousStateTexture, previousStateFbo;
+let historyFbos = [];
+let rowSumsFbo;
+let nextHistoryIndex = 0;
+let isHistoryStale = true;
+// Start over with `grid`, which defaults to a new grid from the seed.
+function initBuffers(grid = getInitialGrid(canvas.width, canvas.height)) {
 	textures.forEach(texture => gl.deleteTexture(texture));
-	textures = [
-		createRandomTexture(gl, canvas.width, canvas.height),
-		createRandomTexture(gl, canvas.width, canvas.height),
-	];
+	textures = [0, 1].map(() => createStateTexture(gl, canvas.width, canvas.height, grid));
 
 	fbos.forEach(fbo => gl.deleteFramebuffer(fbo.framebuffer));
 	fbos = textures.map(texture => createFramebufferInfo(gl, [{ attachment: texture }]));
+
+	// The display modes’ history, which is also ping-ponged, and the row sums.
+	[previousStateFbo, ...historyFbos, rowSumsFbo].forEach(fbo => {
+		if (!fbo) return;
+		gl.deleteFramebuffer(fbo.framebuffer);
+		fbo.attachments.forEach(texture => gl.deleteTexture(texture));
+	});
+	previousStateTexture = createStateTexture(gl, canvas.width, canvas.height, grid);
+	previousStateFbo = createFramebufferInfo(gl, [{ attachment: previousStateTexture }]);
+	historyFbos = [0, 1].map(() =>
+		createFramebufferInfo(
+			gl,
+			[
+				{
+					internalFormat: gl.RGBA16UI,
+					format: gl.RGBA_INTEGER,
+					type: gl.UNSIGNED_SHORT,
+					minMag: gl.NEAREST,
+					wrap: gl.CLAMP_TO_EDGE,
+				},
+				{ format: gl.RGBA, type: gl.UNSIGNED_BYTE, minMag: gl.NEAREST, wrap: gl.CLAMP_TO_EDGE },
+			],
+			canvas.width,
+			canvas.height
+		)
+	);
+	// Always created, since every program with the neighbor sum samples it.
+	rowSumsFbo = createFramebufferInfo(
+		gl,
+		[{ internalFormat: gl.R32F, format: gl.RED, type: gl.FLOAT, minMag: gl.NEAREST, wrap: gl.CLAMP_TO_EDGE }],
+		canvas.width,
+		canvas.height
+	);
+
+	generation = 0;
+	nQueuedGenerations = 0;
+	cancelStateReads();
+	stateBackup = null;
+	resetHistory();
+	statistics.reset();
 }
 
-let resolutionMultiplier = 0.5;
 function resize() {
 	if (resizeCanvasToDisplaySize(gl.canvas, resolutionMultiplier)) {
+		if (recording) stopRecording('Recording stopped: canvas resized');
 		initBuffers(); // Reinitialize textures and FBOs on resize.
 		gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
 	}
 }
 
-function runUpdateShader(programInfo) {
+function runUpdateShader(pass) {
+	const stateTexture = textures[1 - nextStateTextureIndex]; // Send the current state for feedback.
+	const useRowSums = canUseRowSums(pass);
+	if (useRowSums) runRowSumShader(pass, stateTexture);
+
 	gl.bindFramebuffer(gl.FRAMEBUFFER, fbos[nextStateTextureIndex].framebuffer);
-	gl.useProgram(programInfo.program);
-	setBuffersAndAttributes(gl, programInfo, bufferInfo);
+	gl.useProgram(updateShaderInfo.program);
+	setBuffersAndAttributes(gl, updateShaderInfo, bufferInfo);
 
 	// Pass data to the shader.
-	setUniforms(programInfo, {
-		u_weights: weights,
-		u_rules: rules,
-		u_minNeighborWeight: minNeighborWeight,
+	setUniforms(updateShaderInfo, {
+		...getNeighborSumUniforms(pass, stateTexture, useRowSums),
+		u_rules: pass.rulesTexture,
+		u_nRules: pass.nRules,
+		u_minNeighborWeight: pass.minNeighborWeight,
+	});
+	drawBufferInfo(gl, bufferInfo, gl.TRIANGLE_STRIP);
+}
+
+function runRowSumShader(pass, stateTexture) {
+	gl.bindFramebuffer(gl.FRAMEBUFFER, rowSumsFbo.framebuffer);
+	gl.useProgram(rowSumShaderInfo.program);
+	setBuffersAndAttributes(gl, rowSumShaderInfo, bufferInfo);
+	setUniforms(rowSumShaderInfo, getStateUniforms(pass, stateTexture));
+	drawBufferInfo(gl, bufferInfo, gl.TRIANGLE_STRIP);
+}
+
+// Uniforms for `getStateSource()`, reading cells from `stateTexture`.
+function getStateUniforms(pass, stateTexture) {
+	return {
+		u_weights: pass.weightsTexture,
 		u_neighborRange: neighborRange,
-		u_currentStateTexture: textures[1 - nextStateTextureIndex], // Send the current state for feedback.
+		u_currentStateTexture: stateTexture,
 		u_resolution: [gl.canvas.width, gl.canvas.height],
-		u_von_neumann: isVonNeumann,
+		u_boundary: BOUNDARY_NAMES.indexOf(boundary),
+		u_borderState: borderState,
+		u_gridSize: pass.gridSize,
+	};
+}
+
+// Uniforms for `getNeighborSumSource()`, summing the neighbors in `stateTexture`.
+// With `useRowSums`, the row sums must be up to date.
+function getNeighborSumUniforms(pass, stateTexture, useRowSums = false) {
+	return {
+		...getStateUniforms(pass, stateTexture),
+		u_neighborOffsets: pass.offsetsTexture,
+		u_nNeighbors: pass.nNeighbors,
+		u_canvasOffset: pass.offset,
+		u_useRowSums: useRowSums,
+		u_rowSums: rowSumsFbo.attachments[0],
+	};
+}
+
+// Copy the current state, to compare with after the next generation.
+function copyStateToPrevious() {
+	const { width, height } = gl.canvas;
+	gl.bindFramebuffer(gl.READ_FRAMEBUFFER, fbos[1 - nextStateTextureIndex].framebuffer);
+	gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, previousStateFbo.framebuffer);
+	gl.blitFramebuffer(0, 0, width, height, 0, 0, width, height, gl.COLOR_BUFFER_BIT, gl.NEAREST);
+	gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+}
+
+// Update the history for the display modes. Starts it over if it’s stale,
+// ie. it wasn’t updated every generation.
+function runHistoryShader() {
+	const [pass] = resolvedPasses;
+	gl.bindFramebuffer(gl.FRAMEBUFFER, historyFbos[nextHistoryIndex].framebuffer);
+	gl.useProgram(historyShaderInfo.program);
+	setBuffersAndAttributes(gl, historyShaderInfo, bufferInfo);
+	setUniforms(historyShaderInfo, {
+		...getNeighborSumUniforms(pass, previousStateTexture),
+		u_stateTexture: textures[1 - nextStateTextureIndex],
+		u_historyTexture: historyFbos[1 - nextHistoryIndex].attachments[0],
+		u_trailTexture: historyFbos[1 - nextHistoryIndex].attachments[1],
+		u_colors: colorsTexture,
+		u_minNeighborWeight: pass.minNeighborWeight,
+		u_nRules: pass.nRules,
+		u_isReset: isHistoryStale,
 	});
 	drawBufferInfo(gl, bufferInfo, gl.TRIANGLE_STRIP);
+	nextHistoryIndex = 1 - nextHistoryIndex;
+	isHistoryStale = false;
+}
+
+// Start the history over from the current state.
+function resetHistory() {
+	isHistoryStale = true;
+	if (displayMode === 'states' || !textures.length) return;
+	copyStateToPrevious();
+	runHistoryShader();
+}
+
+function runRemapShader() {
+	gl.bindFramebuffer(gl.FRAMEBUFFER, fbos[nextStateTextureIndex].framebuffer);
+	gl.useProgram(remapShaderInfo.program);
+	setBuffersAndAttributes(gl, remapShaderInfo, bufferInfo);
+	setUniforms(remapShaderInfo, {
+		u_currentStateTexture: textures[1 - nextStateTextureIndex],
+		u_nStates: nStates,
+	});
+	drawBufferInfo(gl, bufferInfo, gl.TRIANGLE_STRIP);
+	nextStateTextureIndex = 1 - nextStateTextureIndex;
+}
+
+// Run every pass once.
+function runGeneration() {
+	const isTrackingHistory = displayMode !== 'states';
+	if (isTrackingHistory) copyStateToPrevious();
+	resolvedPasses.forEach(pass => {
+		runUpdateShader(pass);
+
+		// Ping pong!
+		nextStateTextureIndex = 1 - nextStateTextureIndex;
+	});
+	if (isTrackingHistory) runHistoryShader();
+	else isHistoryStale = true;
+	++generation;
+	if (statistics.wantsGeneration(generation)) {
+		const sampleGeneration = generation;
+		const sampleNStates = nStates;
+		readStateAsync(grid => statistics.addGrid(sampleGeneration, grid, sampleNStates));
+	}
+	if (recording) captureGeneration();
+	finder.afterGeneration();
+}
+
+// Generations per frame. Fractional speeds run one generation every few frames.
+const SPEEDS = [1 / 16, 1 / 8, 1 / 4, 1 / 2, 1, 2, 4, 8, 16, 32, 64];
+// Queued generations (eg. from fast-forwarding) are spread over frames so the page stays responsive.
+const MAX_GENERATIONS_PER_FRAME = 64;
+let speedIdx = SPEEDS.indexOf(1);
+let lastRunLength = '1000';
+let nQueuedGenerations = 0;
+// Fractional generations carried over between frames.
+let generationsDue = 0;
+function getSpeedLabel() {
+	const speed = SPEEDS[speedIdx];
+	return speed < 1 ? `1 generation / ${1 / speed} frames` : `${speed} generation${speed === 1 ? '' : 's'} / frame`;
+}
+
+// Returns false if generations can’t be queued right now.
+function queueGenerations(nGenerations) {
+	// Recordings capture one generation per frame.
+	if (recording) {
+		showInfo('Can’t skip ahead while recording');
+		return false;
+	}
+	nQueuedGenerations += nGenerations;
+	return true;
 }
 
 let nextStateTextureIndex = 0;
 let isPaused = false;
+let generation = 0;
 function render(time) {
+	// Picked up again once the context is restored.
+	if (gl.isContextLost()) return;
 	time /= 1000; // Convert time to seconds.
 	resize();
 
 	// 1. Update the game state: Render to off-screen texture.
-	if (!isPaused) {
-		updateShaderInfos.forEach(updateShaderInfo => {
-			runUpdateShader(updateShaderInfo);
-
-			// Ping pong!
-			nextStateTextureIndex = 1 - nextStateTextureIndex;
-		});
+	let nGenerations = Math.min(nQueuedGenerations, MAX_GENERATIONS_PER_FRAME);
+	nQueuedGenerations -= nGenerations;
+	if (recording) {
+		// The recording sets the pace, so every generation is captured.
+		if (!isPaused && recording.frame++ % recording.framesPerGeneration === 0) ++nGenerations;
+	} else if (!isPaused) {
+		generationsDue += SPEEDS[speedIdx];
+		nGenerations += Math.floor(generationsDue);
+		generationsDue %= 1;
+	}
+	for (let i = 0; i < nGenerations; ++i) {
+		runGeneration();
 	}
+	if (time - lastBackupTime >= BACKUP_INTERVAL) backUpState(time);
 
 	// 2. Display the updated state: Render to the screen.
-	gl.bindFramebuffer(gl.FRAMEBUFFER, null); // Bind the default framebuffer (the screen).
+	collectStateReads();
+	drawDisplay();
+	updateStats(time);
+	controlPanel.update();
+	breeding.update();
+	requestAnimationFrame(render);
+}
+
+// The generation counter and FPS readout. Frame times are smoothed, and the
+// text only changes a few times per second so that it’s readable.
+const STATS_INTERVAL = 0.25;
+const statsContainer = document.getElementById('stats');
+let lastFrameTime = null;
+let lastStatsTime = 0;
+let frameDuration = 1 / 60;
+function updateStats(time) {
+	if (lastFrameTime !== null) frameDuration += (time - lastFrameTime - frameDuration) * 0.05;
+	lastFrameTime = time;
+	if (time - lastStatsTime < STATS_INTERVAL || !statsContainer.classList.contains('show')) return;
+	lastStatsTime = time;
+	const status = nQueuedGenerations ? `${nQueuedGenerations} to go` : isPaused ? 'paused' : getSpeedLabel();
+	statsContainer.textContent = `Generation ${generation} · ${Math.round(1 / frameDuration)} fps · ${status}`;
+}
+
+// Draw to the screen, or to `framebufferInfo` if passed. Unless `isPreview`,
+// the whole grid is drawn once without any overlays, eg. for exports.
+function drawDisplay(framebufferInfo = null, isPreview = !framebufferInfo) {
+	bindFramebufferInfo(gl, framebufferInfo); // Also sets the viewport.
 	gl.useProgram(displayShaderInfo.program);
 	setBuffersAndAttributes(gl, displayShaderInfo, bufferInfo);
 
 	// Pass data to the display shader.
+	const displayView = isPreview ? view : createView();
 	setUniforms(displayShaderInfo, {
 		u_screenTexture: textures[1 - nextStateTextureIndex], // Send the updated state.
-		u_colors: colors,
+		u_colors: colorsTexture,
+		u_center: displayView.center,
+		u_scale: getViewScale(displayView),
+		u_showGrid: displayView.showGrid,
+		u_showEdges: isPreview && !boundaries[boundary].tiles && !isDefaultView(view),
+		u_historyTexture: historyFbos[1 - nextHistoryIndex].attachments[0],
+		u_trailTexture: historyFbos[1 - nextHistoryIndex].attachments[1],
+		u_displayMode: DISPLAY_MODE_NAMES.indexOf(displayMode),
+		u_nRules: resolvedPasses[0].nRules,
 	});
 	drawBufferInfo(gl, bufferInfo, gl.TRIANGLE_STRIP);
-	requestAnimationFrame(render);
 }
+
+const THUMBNAIL_SIZE = 160;
+const thumbnailCanvas = document.createElement('canvas');
+thumbnailCanvas.width = thumbnailCanvas.height = THUMBNAIL_SIZE;
+const thumbnailContext = thumbnailCanvas.getContext('2d');
+thumbnailContext.imageSmoothingEnabled = false;
+// Crop a square from the center of the canvas. The display is redrawn first,
+// since the drawing buffer isn’t preserved between frames.
+function getThumbnail() {
+	drawDisplay(null, false);
+	const size = Math.min(gl.canvas.width, gl.canvas.height);
+	const x = (gl.canvas.width - size) / 2;
+	const y = (gl.canvas.height - size) / 2;
+	thumbnailContext.drawImage(gl.canvas, x, y, size, size, 0, 0, THUMBNAIL_SIZE, THUMBNAIL_SIZE);
+	return thumbnailCanvas.toDataURL('image/png');
+}
+
+// The current configuration and what it looks like, eg. for a list of candidates.
+function getSnapshot() {
+	return { config: encodeConfig(getConfig()), thumbnail: getThumbnail() };
+}
+
+let lastExportSize = '4';
+// Parse either an integer cell scale or WIDTHxHEIGHT into [width, height].
+function parseExportSize(input) {
+	const dimensions = input.match(/^\s*(\d+)\s*[x×]\s*(\d+)\s*$/);
+	if (dimensions) return [parseInt(dimensions[1], 10), parseInt(dimensions[2], 10)];
+	const scale = input.match(/^\s*(\d+)\s*[x×]?\s*$/);
+	if (scale) return [gl.canvas.width * parseInt(scale[1], 10), gl.canvas.height * parseInt(scale[1], 10)];
+	return null;
+}
+
+// Render the current state through the display shader into an offscreen
+// framebuffer and download it. The whole state texture maps onto the image, so
+// if the grid wraps around (a torus) the result tiles seamlessly at any size.
+function exportImage(width, height) {
+	const maxSize = Math.min(gl.getParameter(gl.MAX_TEXTURE_SIZE), gl.getParameter(gl.MAX_RENDERBUFFER_SIZE));
+	if (!width || !height || width > maxSize || height > maxSize) {
+		console.error(`Export size must be between 1 and ${maxSize}px:`, width, height);
+		return showError();
+	}
+
+	const exportFbo = createFramebufferInfo(
+		gl,
+		[{ format: gl.RGBA, type: gl.UNSIGNED_BYTE, minMag: gl.NEAREST, wrap: gl.CLAMP_TO_EDGE }],
+		width,
+		height
+	);
+	drawDisplay(exportFbo);
+	const pixels = new Uint8ClampedArray(width * height * 4);
+	gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+	gl.deleteFramebuffer(exportFbo.framebuffer);
+	exportFbo.attachments.forEach(texture => gl.deleteTexture(texture));
+	bindFramebufferInfo(gl);
+
+	const flipped = flipRows(pixels, width * 4);
+
+	const exportCanvas = document.createElement('canvas');
+	exportCanvas.width = width;
+	exportCanvas.height = height;
+	exportCanvas.getContext('2d').putImageData(new ImageData(flipped, width, height), 0, 0);
+	exportCanvas.toBlob(blob => {
+		downloadBlob(blob, `ca-finder-${seed}-${width}x${height}.png`);
+		showInfo(`Exported ${width}×${height}${boundaries[boundary].tiles ? '' : ', which won’t tile'}`);
+	}, 'image/png');
+}
+
+// Brush mode: click / touch and drag to paint cells. The right mouse button
+// always erases (paints state 0).
+const MAX_BRUSH_RADIUS = 64;
+const brush = { state: 1, radius: 2, isCircle: true };
+let isBrushMode = false;
+let lastBrushCell = null;
+function getBrushLabel() {
+	const stateLabel = brush.state < 0 ? 'random' : brush.state === 0 ? 'eraser' : `state ${brush.state}`;
+	return `${stateLabel}, radius ${brush.radius}, ${brush.isCircle ? 'circle' : 'square'}`;
+}
+
+// Map a pointer event to a point on screen, from [0, 0] at the bottom left of
+// the canvas to [1, 1] at the top right.
+function getScreenPoint(e) {
+	const rect = canvas.getBoundingClientRect();
+	return [(e.clientX - rect.left) / rect.width, (rect.bottom - e.clientY) / rect.height];
+}
+
+// Map a pointer event to cell coordinates, through the current zoom and pan.
+// Rows go bottom to top, like the state texture.
+function getCellFromPointer(e) {
+	return screenToCell(view, getScreenPoint(e), gl.canvas.width, gl.canvas.height);
+}
+
+function paintStroke(from, to, state) {
+	gl.bindFramebuffer(gl.FRAMEBUFFER, fbos[nextStateTextureIndex].framebuffer);
+	gl.useProgram(paintShaderInfo.program);
+	setBuffersAndAttributes(gl, paintShaderInfo, bufferInfo);
+	setUniforms(paintShaderInfo, {
+		u_currentStateTexture: textures[1 - nextStateTextureIndex],
+		u_resolution: [gl.canvas.width, gl.canvas.height],
+		u_from: from,
+		u_to: to,
+		u_radius: brush.radius,
+		u_isCircle: brush.isCircle,
+		u_state: state,
+		u_nStates: nStates,
+		u_randomSeed: Math.random() * 1000,
+		u_isWrapping: boundaries[boundary].tiles,
+	});
+	drawBufferInfo(gl, bufferInfo, gl.TRIANGLE_STRIP);
+	nextStateTextureIndex = 1 - nextStateTextureIndex;
+}
+
+// Pointers that are down, mapped to their last point on screen. Dragging pans
+// the view (with the middle button, or any button when not painting), and
+// pinching zooms it.
+const activePointers = new Map();
+canvas.addEventListener('pointerdown', e => {
+	canvas.setPointerCapture(e.pointerId);
+	activePointers.set(e.pointerId, getScreenPoint(e));
+	// A second finger turns a stroke into a pinch.
+	if (!isBrushMode || e.button === 1 || activePointers.size > 1) {
+		lastBrushCell = null;
+		return;
+	}
+	lastBrushCell = getCellFromPointer(e);
+	paintStroke(lastBrushCell, lastBrushCell, e.button === 2 ? 0 : brush.state);
+});
+canvas.addEventListener('pointermove', e => {
+	if (!activePointers.has(e.pointerId)) return;
+	const point = getScreenPoint(e);
+	const previousPoint = activePointers.get(e.pointerId);
+	activePointers.set(e.pointerId, point);
+	if (lastBrushCell) {
+		const cell = getCellFromPointer(e);
+		paintStroke(lastBrushCell, cell, e.buttons & 2 ? 0 : brush.state);
+		lastBrushCell = cell;
+	} else if (activePointers.size === 1 && (!isBrushMode || e.buttons & 4)) {
+		actions.pan([point[0] - previousPoint[0], point[1] - previousPoint[1]]);
+	} else if (activePointers.size === 2) {
+		// Pan with the midpoint between the fingers, and zoom with the distance between them.
+		const otherPoint = [...activePointers.values()].find(p => p !== point);
+		const distance = Math.hypot(point[0] - otherPoint[0], point[1] - otherPoint[1]);
+		const previousDistance = Math.hypot(previousPoint[0] - otherPoint[0], previousPoint[1] - otherPoint[1]);
+		actions.pan([(point[0] - previousPoint[0]) / 2, (point[1] - previousPoint[1]) / 2]);
+		if (previousDistance > 0) {
+			zoomView(view, distance / previousDistance, [(point[0] + otherPoint[0]) / 2, (point[1] + otherPoint[1]) / 2]);
+			updateView();
+		}
+	}
+});
+['pointerup', 'pointercancel'].forEach(type => {
+	canvas.addEventListener(type, e => {
+		activePointers.delete(e.pointerId);
+		lastBrushCell = null;
+	});
+});
+canvas.addEventListener(
+	'wheel',
+	e => {
+		e.preventDefault();
+		// Line-based deltas (eg. from some mice in Firefox) are much smaller than pixel-based ones.
+		const delta = e.deltaMode === WheelEvent.DOM_DELTA_LINE ? e.deltaY * 16 : e.deltaY;
+		zoomView(view, Math.exp(-delta * 0.002), getScreenPoint(e));
+		updateView();
+	},
+	{ passive: false }
+);
+canvas.addEventListener('contextmenu', e => {
+	if (isBrushMode) e.preventDefault();
+});
+
+// The format to read states back in. A single 16-bit channel is an eighth of
+// the data, but only some implementations can read integer textures that way.
+function getStateReadFormat() {
+	gl.bindFramebuffer(gl.FRAMEBUFFER, fbos[0].framebuffer);
+	const format = gl.getParameter(gl.IMPLEMENTATION_COLOR_READ_FORMAT);
+	const type = gl.getParameter(gl.IMPLEMENTATION_COLOR_READ_TYPE);
+	gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+	return format === gl.RED_INTEGER && type === gl.UNSIGNED_SHORT
+		? { format, type, nComponents: 1, ArrayType: Uint16Array }
+		: { format: gl.RGBA_INTEGER, type: gl.UNSIGNED_INT, nComponents: 4, ArrayType: Uint32Array };
+}
+let stateReadFormat = null;
+let stateReadPixels = new Uint32Array(0);
+
+// Copy the current state texture into `destination`: an array, or an offset
+// into the bound pixel pack buffer. Rows are packed without padding, which odd
+// widths of 16-bit pixels would otherwise get.
+function readStatePixels(destination) {
+	const { width, height } = gl.canvas;
+	const { format, type } = stateReadFormat;
+	gl.bindFramebuffer(gl.FRAMEBUFFER, fbos[1 - nextStateTextureIndex].framebuffer);
+	gl.pixelStorei(gl.PACK_ALIGNMENT, 1);
+	gl.readPixels(0, 0, width, height, format, type, destination);
+	gl.pixelStorei(gl.PACK_ALIGNMENT, 4);
+	gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+}
+
+// Call `read(pixels)` to fill `length` pixel values, and return the states in
+// them. The states are kept by callers, but wider pixels are copied out of a
+// reused array.
+function readStatesInto(length, nComponents, read) {
+	if (nComponents === 1) {
+		const states = new Uint16Array(length);
+		read(states);
+		return states;
+	}
+	if (stateReadPixels.length !== length) stateReadPixels = new Uint32Array(length);
+	read(stateReadPixels);
+	return getStatesFromPixels(stateReadPixels);
+}
+
+// Read the current state texture back into a bottom-to-top array of states.
+function readState() {
+	stateReadFormat ??= getStateReadFormat();
+	const { nComponents } = stateReadFormat;
+	const { width, height } = gl.canvas;
+	return readStatesInto(width * height * nComponents, nComponents, readStatePixels);
+}
+
+function getStatesFromPixels(pixels) {
+	const states = new Uint16Array(pixels.length / 4);
+	for (let i = 0; i < states.length; ++i) {
+		states[i] = pixels[i * 4];
+	}
+	return states;
+}
+
+// Like `readState()`, but without stalling `render()` until the GPU catches
+// up: the state is copied into a pixel buffer, and `callback` is called with
+// it from `collectStateReads()` once a fence shows the copy is done. Only a
+// few reads can be in flight, so a slow GPU doesn’t pile them up, and their
+// pixel buffers are reused. Returns false if the read was skipped.
+const MAX_PENDING_STATE_READS = 2;
+const pendingStateReads = [];
+let freeStateReadBuffers = [];
+function readStateAsync(callback) {
+	if (pendingStateReads.length >= MAX_PENDING_STATE_READS) return false;
+	stateReadFormat ??= getStateReadFormat();
+	const { nComponents, ArrayType } = stateReadFormat;
+	const { width, height } = gl.canvas;
+	const length = width * height * nComponents;
+	const byteLength = length * ArrayType.BYTES_PER_ELEMENT;
+	const pixelBuffer = freeStateReadBuffers.pop() ?? { buffer: gl.createBuffer(), byteLength: 0 };
+	gl.bindBuffer(gl.PIXEL_PACK_BUFFER, pixelBuffer.buffer);
+	if (pixelBuffer.byteLength !== byteLength) {
+		gl.bufferData(gl.PIXEL_PACK_BUFFER, byteLength, gl.STREAM_READ);
+		pixelBuffer.byteLength = byteLength;
+	}
+	readStatePixels(0);
+	gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+	const sync = gl.fenceSync(gl.SYNC_GPU_COMMANDS_COMPLETE, 0);
+	pendingStateReads.push({ pixelBuffer, sync, length, nComponents, callback });
+	return true;
+}
+
+// Drop reads that haven’t finished, eg. because the grid was replaced.
+function cancelStateReads() {
+	pendingStateReads.forEach(({ pixelBuffer, sync }) => {
+		gl.deleteSync(sync);
+		freeStateReadBuffers.push(pixelBuffer);
+	});
+	pendingStateReads.length = 0;
+}
+
+// Call once per frame. Reads finish in the order they were started.
+function collectStateReads() {
+	while (pendingStateReads.length) {
+		const { pixelBuffer, sync, length, nComponents, callback } = pendingStateReads[0];
+		if (gl.getSyncParameter(sync, gl.SYNC_STATUS) !== gl.SIGNALED) return;
+		pendingStateReads.shift();
+		gl.deleteSync(sync);
+		gl.bindBuffer(gl.PIXEL_PACK_BUFFER, pixelBuffer.buffer);
+		const states = readStatesInto(length, nComponents, pixels => {
+			gl.getBufferSubData(gl.PIXEL_PACK_BUFFER, 0, pixels);
+		});
+		gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+		freeStateReadBuffers.push(pixelBuffer);
+		callback(states);
+	}
+}
+
+// While recording, the simulation advances one generation every
+// `framesPerGeneration` frames.
+const RECORDING_FPS = 60;
+const recordingSettings = { format: 'webm', duration: 10, framesPerGeneration: 1 };
+let recording = null;
+function startRecording() {
+	const { format, duration, framesPerGeneration } = recordingSettings;
+	const { width, height } = gl.canvas;
+	const newRecording = {
+		format,
+		framesPerGeneration,
+		width,
+		height,
+		frame: 0,
+		nGenerations: Math.max(1, Math.round((duration * RECORDING_FPS) / framesPerGeneration)),
+		// Maps each state hash to the generation it was first seen in.
+		hashes: new Map(),
+	};
+
+	if (format === 'gif') {
+		if (nStates > MAX_GIF_COLORS) {
+			console.error(`GIFs can have at most ${MAX_GIF_COLORS} colors:`, nStates);
+			return showError(`GIFs can have at most ${MAX_GIF_COLORS} states`);
+		}
+		newRecording.frames = [];
+		// GIF delays are in hundredths of a second, and most viewers clamp anything under 2.
+		newRecording.delay = Math.max(2, Math.round((framesPerGeneration * 100) / RECORDING_FPS));
+	} else {
+		if (!window.MediaRecorder || !MediaRecorder.isTypeSupported('video/webm')) {
+			console.error('WebM recording is not supported in this browser.');
+			return showError();
+		}
+		const chunks = [];
+		const mediaRecorder = new MediaRecorder(canvas.captureStream(RECORDING_FPS), { mimeType: 'video/webm' });
+		mediaRecorder.addEventListener('dataavailable', e => chunks.push(e.data));
+		mediaRecorder.addEventListener('stop', () => {
+			downloadBlob(new Blob(chunks, { type: 'video/webm' }), `ca-finder-${seed}.webm`);
+		});
+		mediaRecorder.start();
+		newRecording.mediaRecorder = mediaRecorder;
+	}
+
+	recording = newRecording;
+	captureGeneration();
+	showInfo('Recording…');
+}
+
+// Hash each generation to detect when the simulation returns to an earlier
+// state. From then on it loops, so GIFs are trimmed to the periodic section.
+// WebM recordings can’t be trimmed, so they just stop once a loop is found.
+function captureGeneration() {
+	const { width, height, hashes } = recording;
+	const state = readState();
+	const hash = hashBytes(state);
+	if (hashes.has(hash)) {
+		const loopStart = hashes.get(hash);
+		if (recording.frames) recording.frames = recording.frames.slice(loopStart);
+		return stopRecording(`Loop found: ${hashes.size - loopStart} generations`);
+	}
+	hashes.set(hash, hashes.size);
+
+	if (recording.frames) {
+		recording.frames.push(encodeGifFrame(width, height, flipRows(state, width), recording.delay, nStates));
+	}
+	if (hashes.size > recording.nGenerations) stopRecording();
+}
+
+function stopRecording(message = 'Recording saved') {
+	const { format, width, height, frames, mediaRecorder } = recording;
+	recording = null;
+	if (format === 'gif') {
+		const palette = Array.from({ length: nStates }, (_, i) =>
+			Array.from(colors.subarray(i * 3, i * 3 + 3), component => Math.round(component * 255))
+		);
+		downloadBlob(encodeGif(width, height, palette, frames), `ca-finder-${seed}.gif`);
+	} else {
+		mediaRecorder.stop();
+	}
+	showInfo(message);
+}
+
+// The state textures are gone by the time the WebGL context is lost, so a copy
+// of the grid is read back every `BACKUP_INTERVAL` seconds to restore it from.
+const BACKUP_INTERVAL = 5;
+let stateBackup = null;
+let lastBackupTime = 0;
+function backUpState(time) {
+	const { width, height } = gl.canvas;
+	const backupGeneration = generation;
+	const isReading = readStateAsync(grid => {
+		stateBackup = { grid, width, height, generation: backupGeneration };
+	});
+	// If too many reads are in flight, try again next frame.
+	if (isReading) lastBackupTime = time;
+}
+
+canvas.addEventListener('webglcontextlost', e => {
+	// Without this, the context is never restored.
+	e.preventDefault();
+	// Everything on the GPU is gone, including pending reads and their buffers.
+	pendingStateReads.length = 0;
+	freeStateReadBuffers = [];
+	stateReadFormat = null;
+	if (recording) stopRecording('Recording stopped: graphics reset');
+	showError('Graphics reset, waiting to restore…', { persistent: true });
+});
+
+canvas.addEventListener('webglcontextrestored', () => {
+	hideError();
+	createShaderPrograms();
+	bufferInfo = createBufferInfoFromArrays(gl, arrays);
+	canRenderRowSums = Boolean(gl.getExtension('EXT_color_buffer_float'));
+	colorsTexture = uploadLookupTable(lookupFormats.colors, colors);
+	updatePasses();
+	gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
+	// The canvas may have been resized in the meantime, in which case the backup won’t fit.
+	const backup = stateBackup;
+	if (backup?.width === gl.canvas.width && backup.height === gl.canvas.height) {
+		initBuffers(backup.grid);
+		generation = backup.generation;
+		stateBackup = backup;
+	} else {
+		initBuffers();
+	}
+	showInfo('Graphics restored');
+	requestAnimationFrame(render);
+});
+
+const initialConfig = decodeConfig(window.location.hash);
+if (initialConfig) applyConfig(initialConfig);
+updateHash();
+window.addEventListener('hashchange', () => {
+	const config = decodeConfig(window.location.hash);
+	if (!config) return;
+	applyConfig(config);
+	updateHash('Loaded from link');
+});
+
 requestAnimationFrame(render);
@@ -0,0 +1,53 @@
+// Measurements of a grid of states, used by the finder to tell interesting runs
+// from dead, frozen or noisy ones, and by the statistics overlay. Grids are
+// row-major Uint16Arrays of states.
+
+// The fraction of cells that differ between two generations.
+export function getChangedFraction(grid, previousGrid) {
+	let nChanged = 0;
+	for (let i = 0; i < grid.length; ++i) {
+		if (grid[i] !== previousGrid[i]) ++nChanged;
+	}
+	return nChanged / grid.length;
+}
+
+// The number of cells in each state.
+export function getStateCounts(grid, nStates) {
+	const counts = new Uint32Array(nStates);
+	for (let i = 0; i < grid.length; ++i) {
+		++counts[grid[i]];
+	}
+	return counts;
+}
+
+function getStateFractions(grid, nStates) {
+	return Array.from(getStateCounts(grid, nStates), count => count / grid.length);
+}
+
+// Shannon entropy of the state histogram, normalized to [0, 1]: 0 when every
+// cell has the same state, 1 when all states are equally common.
+export function getStateEntropy(grid, nStates) {
+	if (nStates < 2) return 0;
+	const entropy = getStateFractions(grid, nStates).reduce((sum, p) => (p ? sum - p * Math.log2(p) : sum), 0);
+	return entropy / Math.log2(nStates);
+}
+
+// How much more often neighboring cells (right and above, wrapping around)
+// share a state than they would by chance. Around 0 for noise, and 1 when
+// every cell matches its neighbors.
+export function getSpatialAutocorrelation(grid, width, nStates) {
+	const height = grid.length / width;
+	let nMatching = 0;
+	for (let y = 0; y < height; ++y) {
+		const row = y * width;
+		const nextRow = ((y + 1) % height) * width;
+		for (let x = 0; x < width; ++x) {
+			const state = grid[row + x];
+			if (state === grid[row + ((x + 1) % width)]) ++nMatching;
+			if (state === grid[nextRow + x]) ++nMatching;
+		}
+	}
+	const matchingFraction = nMatching / (grid.length * 2);
+	const chanceFraction = getStateFractions(grid, nStates).reduce((sum, p) => sum + p * p, 0);
+	return chanceFraction < 1 ? (matchingFraction - chanceFraction) / (1 - chanceFraction) : 0;
+}
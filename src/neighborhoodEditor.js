@@ -0,0 +1,58 @@
+import { getNeighborOffsets } from './neighborhoods.js';
+
+// Wire up the custom neighborhood overlay: a (2 * range + 1)² grid of cells
+// that can be toggled on and off. `getNeighborhood` returns the current
+// { neighborRange, neighborhood, customMask }, and `onChange` is called with a
+// new custom mask whenever a cell is toggled.
+export function createNeighborhoodEditor({ container, getNeighborhood, onChange }) {
+	const grid = container.querySelector('.neighborhood-grid');
+
+	function render() {
+		const { neighborRange, neighborhood, customMask } = getNeighborhood();
+		// Start from the current shape, so any neighborhood can be tweaked.
+		const mask = new Set(getNeighborOffsets(neighborRange, neighborhood, customMask).map(offset => offset.join(',')));
+		const size = neighborRange * 2 + 1;
+		grid.style.gridTemplateColumns = `repeat(${size}, 1fr)`;
+
+		const cells = [];
+		// Rows go from top to bottom, so start at the largest dy.
+		for (let dy = neighborRange; dy >= -neighborRange; --dy) {
+			for (let dx = -neighborRange; dx <= neighborRange; ++dx) {
+				const key = `${dx},${dy}`;
+				const cell = document.createElement('button');
+				cell.setAttribute('aria-label', `Offset ${dx}, ${dy}`);
+				if (dx === 0 && dy === 0) {
+					cell.disabled = true;
+					cell.classList.add('center');
+				} else {
+					cell.classList.toggle('active', mask.has(key));
+					cell.addEventListener('click', () => {
+						if (mask.has(key)) mask.delete(key);
+						else mask.add(key);
+						cell.classList.toggle('active', mask.has(key));
+						onChange(new Set(mask));
+					});
+				}
+				cells.push(cell);
+			}
+		}
+		grid.replaceChildren(...cells);
+	}
+
+	container.querySelector('[data-action="close"]').addEventListener('click', () => {
+		container.classList.remove('show');
+	});
+
+	return {
+		// Re-render if the neighborhood changes from elsewhere while open.
+		update() {
+			if (container.classList.contains('show')) render();
+		},
+		toggle() {
+			if (container.classList.toggle('show')) render();
+		},
+		hide() {
+			container.classList.remove('show');
+		},
+	};
+}
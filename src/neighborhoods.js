@@ -0,0 +1,56 @@
+// Neighborhood shapes. Each `includes` test receives the offset of a cell from
+// the center cell and the neighbor range, and returns whether it’s a neighbor.
+// The center cell itself is never a neighbor.
+export const neighborhoods = {
+	moore: { label: 'Moore', includes: () => true },
+	vonNeumann: { label: 'Von Neumann', includes: (dx, dy, range) => Math.abs(dx) + Math.abs(dy) <= range },
+	circular: { label: 'Circular', includes: (dx, dy, range) => dx * dx + dy * dy <= Math.pow(range + 0.5, 2) },
+	// Hexagonal in axial coordinates, with the grid sheared by 45°.
+	hexagonal: { label: 'Hexagonal', includes: (dx, dy, range) => Math.abs(dx + dy) <= range },
+	cross: { label: 'Cross', includes: (dx, dy) => dx === 0 || dy === 0 },
+	ring: {
+		label: 'Ring',
+		includes: (dx, dy, range) => {
+			const distanceSquared = dx * dx + dy * dy;
+			return distanceSquared <= Math.pow(range + 0.5, 2) && distanceSquared > Math.pow(range / 2, 2);
+		},
+	},
+	checkerboard: { label: 'Checkerboard', includes: (dx, dy) => (dx + dy) % 2 === 0 },
+	// User-drawn. `customMask` is a Set of 'dx,dy' keys.
+	custom: { label: 'Custom', includes: (dx, dy, range, customMask) => customMask.has(`${dx},${dy}`) },
+};
+
+export const NEIGHBORHOOD_NAMES = Object.keys(neighborhoods);
+
+export function getNeighborOffsets(neighborRange, neighborhood = 'moore', customMask = new Set()) {
+	const { includes } = neighborhoods[neighborhood] ?? neighborhoods.moore;
+	const offsets = [];
+	for (let dx = -neighborRange; dx <= neighborRange; dx++) {
+		for (let dy = -neighborRange; dy <= neighborRange; dy++) {
+			if (dx === 0 && dy === 0) continue;
+			if (includes(dx, dy, neighborRange, customMask)) offsets.push([dx, dy]);
+		}
+	}
+	return offsets;
+}
+
+// Custom masks are serialized as one byte per cell of the (2 * range + 1)²
+// square, row by row.
+export function maskToBytes(customMask, neighborRange) {
+	const size = neighborRange * 2 + 1;
+	return Uint8Array.from({ length: size * size }, (_, i) => {
+		const dx = (i % size) - neighborRange;
+		const dy = Math.floor(i / size) - neighborRange;
+		return customMask.has(`${dx},${dy}`) ? 1 : 0;
+	});
+}
+
+export function bytesToMask(bytes) {
+	const size = Math.round(Math.sqrt(bytes.length));
+	const neighborRange = (size - 1) / 2;
+	const customMask = new Set();
+	bytes.forEach((value, i) => {
+		if (value) customMask.add(`${(i % size) - neighborRange},${Math.floor(i / size) - neighborRange}`);
+	});
+	return customMask;
+}
@@ -0,0 +1,103 @@
+import { colorFills } from './colors.js';
+import { parsePalette, parsePaletteFile } from './palettes.js';
+import { createButton } from './util.js';
+
+// Wire up the palette overlay. `getPalette` returns the current
+// { palette, colorFill, isCustom }, where `palette` is a list of hex colors and
+// `isCustom` is true for saved custom palettes. `onChange` is called with a
+// new list of colors after any edit or import, `onFillChange` with a key of
+// `colorFills`, and `onSave` / `onDelete` to add the current palette to (or
+// remove it from) the saved custom palettes. `onError` is called with a
+// message when a palette can’t be read.
+export function createPaletteEditor({
+	container,
+	maxColors,
+	getPalette,
+	onChange,
+	onFillChange,
+	onSave,
+	onDelete,
+	onError,
+}) {
+	const swatches = container.querySelector('.palette-swatches');
+	const fillSelect = container.querySelector('select');
+	const pasteInput = container.querySelector('textarea');
+	const importInput = container.querySelector('input[type="file"]');
+	const deleteButton = container.querySelector('[data-action="delete"]');
+
+	fillSelect.replaceChildren(...Object.entries(colorFills).map(([name, { label }]) => new Option(label, name)));
+	fillSelect.addEventListener('change', () => onFillChange(fillSelect.value));
+
+	function setColors(palette) {
+		if (!palette.length) return onError('No colors found');
+		onChange(palette.slice(0, maxColors));
+	}
+
+	function createSwatch(idx) {
+		const item = document.createElement('li');
+		const input = document.createElement('input');
+		input.type = 'color';
+		input.setAttribute('aria-label', `State ${idx} color`);
+		input.addEventListener('input', () => {
+			onChange(getPalette().palette.map((other, i) => (i === idx ? input.value : other)));
+		});
+		const removeButton = createButton('×', () => onChange(getPalette().palette.filter((_, i) => i !== idx)));
+		removeButton.setAttribute('aria-label', `Remove color ${idx}`);
+		item.append(input, removeButton);
+		return { item, input, removeButton };
+	}
+
+	// Swatches are kept between updates, so a color picker isn’t replaced while open.
+	let rows = [];
+	function render() {
+		const { palette, colorFill, isCustom } = getPalette();
+		if (rows.length !== palette.length) {
+			rows = palette.map((_, idx) => createSwatch(idx));
+			swatches.replaceChildren(...rows.map(({ item }) => item));
+		}
+		rows.forEach(({ input, removeButton }, idx) => {
+			input.value = palette[idx];
+			removeButton.disabled = palette.length === 1;
+		});
+		fillSelect.value = colorFill;
+		deleteButton.disabled = !isCustom;
+	}
+
+	container.querySelector('[data-action="add"]').addEventListener('click', () => {
+		const { palette } = getPalette();
+		if (palette.length < maxColors) onChange([...palette, palette[palette.length - 1]]);
+	});
+	container.querySelector('[data-action="paste"]').addEventListener('click', () => {
+		setColors(parsePalette(pasteInput.value));
+		pasteInput.value = '';
+	});
+	container.querySelector('[data-action="save"]').addEventListener('click', onSave);
+	deleteButton.addEventListener('click', onDelete);
+	container.querySelector('[data-action="close"]').addEventListener('click', () => {
+		container.classList.remove('show');
+	});
+	importInput.addEventListener('change', async () => {
+		const [file] = importInput.files;
+		importInput.value = '';
+		if (!file) return;
+		try {
+			setColors(parsePaletteFile(await file.arrayBuffer()));
+		} catch (e) {
+			console.error('Could not import palette:', e);
+			onError('Could not import palette');
+		}
+	});
+
+	return {
+		// Re-render if the palette changes from elsewhere while open.
+		update() {
+			if (container.classList.contains('show')) render();
+		},
+		toggle() {
+			if (container.classList.toggle('show')) render();
+		},
+		hide() {
+			container.classList.remove('show');
+		},
+	};
+}
@@ -4,8 +4,6 @@
 //   return Array.from(container.querySelectorAll('div.color')).map(el => rgbToHex(el.style.background));
 // })
 
-import { shuffleArray } from './util';
-
 const palettes = [
 	['#000000', '#4edaf2', '#ff0f87', '#ffe40d', '#93cc2b', '#b0329d', '#fa0017', '#f1f1f1'],
 	['#dbbf79', '#723a0b', '#5e1f44', '#461307', '#ac714f', '#9d5727', '#d79864', '#872425'],
@@ -278,6 +276,80 @@ const palettes = [
 	['#0e30a6', '#d20000', '#4dd928', '#ffe600', '#4b3159', '#83606f', '#708f4d', '#adb870'],
 ];
 
-shuffleArray(palettes);
-
 export default palettes;
+
+// Custom palettes are saved in localStorage, and cycled after the built-ins.
+const STORAGE_KEY = 'ca-finder-palettes';
+
+export function isValidPalette(palette) {
+	return Array.isArray(palette) && palette.length > 0 && palette.every(hex => /^#[0-9a-f]{6}$/.test(hex));
+}
+
+export function loadCustomPalettes() {
+	try {
+		const customPalettes = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? '[]');
+		return Array.isArray(customPalettes) ? customPalettes.filter(isValidPalette) : [];
+	} catch (e) {
+		console.error('Could not read custom palettes:', e);
+		return [];
+	}
+}
+
+export function saveCustomPalettes(customPalettes) {
+	try {
+		localStorage.setItem(STORAGE_KEY, JSON.stringify(customPalettes));
+		return true;
+	} catch (e) {
+		console.error('Could not save custom palettes:', e);
+		return false;
+	}
+}
+
+function rgbToHex(rgb) {
+	return `#${rgb.map(component => component.toString(16).padStart(2, '0')).join('')}`;
+}
+
+function isByte(n) {
+	return Number.isInteger(n) && n >= 0 && n <= 255;
+}
+
+// Read a palette from text: a GIMP palette (.gpl), a JASC palette (.pal), or
+// anything else containing 6-digit hex colors (eg. a pasted list, or a .hex
+// file with one color per line). Returns an array of lowercase hex colors.
+export function parsePalette(text) {
+	const lines = text
+		.split(/\r?\n/)
+		.map(line => line.trim())
+		.filter(Boolean);
+	let rgbs;
+	if (lines[0] === 'GIMP Palette') {
+		// “R G B name” lines, after a header with “Name:” / “Columns:” lines and # comments.
+		rgbs = lines.slice(1).filter(line => /^\d/.test(line));
+	} else if (lines[0] === 'JASC-PAL') {
+		// The header is followed by a version and a color count, then “R G B” lines.
+		rgbs = lines.slice(3);
+	} else {
+		return (text.match(/#?\b[0-9a-f]{6}\b/gi) ?? []).map(hex => `#${hex.replace('#', '').toLowerCase()}`);
+	}
+	return rgbs
+		.map(line => line.split(/\s+/).slice(0, 3).map(Number))
+		.filter(rgb => rgb.length === 3 && rgb.every(isByte))
+		.map(rgbToHex);
+}
+
+// Read a palette file. Microsoft RIFF palettes (also .pal) are binary, and
+// everything else is passed to `parsePalette`.
+export function parsePaletteFile(buffer) {
+	const bytes = new Uint8Array(buffer);
+	const header = String.fromCharCode(...bytes.subarray(0, 12));
+	if (!header.startsWith('RIFF') || !header.endsWith('PAL ')) {
+		return parsePalette(new TextDecoder().decode(bytes));
+	}
+
+	// The “data” chunk holds a version and a color count, then 4 bytes per color: R, G, B and flags.
+	if (String.fromCharCode(...bytes.subarray(12, 16)) !== 'data') throw new Error('No data chunk in RIFF palette');
+	const view = new DataView(buffer);
+	const nColors = view.getUint16(22, true);
+	if (24 + nColors * 4 > bytes.length) throw new Error('RIFF palette is truncated');
+	return Array.from({ length: nColors }, (_, i) => rgbToHex(Array.from(bytes.subarray(24 + i * 4, 27 + i * 4))));
+}
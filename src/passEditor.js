@@ -0,0 +1,114 @@
+import { neighborhoods } from './neighborhoods.js';
+import { createButton } from './util.js';
+
+function createInput(attributes, onChange) {
+	const input = document.createElement('input');
+	Object.assign(input, attributes);
+	input.addEventListener('change', () => onChange(input));
+	return input;
+}
+
+function createLabel(text, control) {
+	const label = document.createElement('label');
+	label.append(text, control);
+	return label;
+}
+
+// Wire up the update pipeline overlay. `getPasses` returns the current pass
+// list. `onChange` is called with a new pass list after any edit, and
+// `onToggleOwnRules` / `onRerollRules` / `onRerollWeights` with a pass index
+// when a pass should get (or lose) its own rule table, or reroll its rules or
+// weights.
+export function createPassEditor({ container, getPasses, onChange, onToggleOwnRules, onRerollRules, onRerollWeights }) {
+	const list = container.querySelector('.pass-list');
+
+	function updatePass(idx, changes) {
+		onChange(getPasses().map((pass, i) => (i === idx ? { ...pass, ...changes } : pass)));
+	}
+
+	function movePass(idx, direction) {
+		const passes = [...getPasses()];
+		[passes[idx], passes[idx + direction]] = [passes[idx + direction], passes[idx]];
+		onChange(passes);
+	}
+
+	function render() {
+		const passes = getPasses();
+		list.replaceChildren(
+			...passes.map((pass, idx) => {
+				const item = document.createElement('li');
+
+				const heading = document.createElement('h3');
+				heading.textContent = `Pass ${idx + 1}`;
+
+				const gridSizeInput = createInput({ type: 'number', step: 0.5, min: 0.5, value: pass.gridSize }, input => {
+					const gridSize = Number(input.value);
+					if (gridSize > 0) updatePass(idx, { gridSize });
+					else input.value = pass.gridSize;
+				});
+				const offsetInputs = [0, 1].map(axis =>
+					createInput({ type: 'number', step: 0.01, value: pass.offset[axis] }, input => {
+						const offset = [...pass.offset];
+						offset[axis] = Number(input.value) || 0;
+						updatePass(idx, { offset });
+					})
+				);
+
+				const neighborhoodSelect = document.createElement('select');
+				neighborhoodSelect.append(
+					new Option('Shared', ''),
+					...Object.entries(neighborhoods).map(([name, { label }]) => new Option(label, name))
+				);
+				neighborhoodSelect.value = pass.neighborhood ?? '';
+				neighborhoodSelect.addEventListener('change', () => {
+					updatePass(idx, { neighborhood: neighborhoodSelect.value || undefined });
+				});
+
+				const ownRulesInput = createInput({ type: 'checkbox', checked: Boolean(pass.rules) }, input =>
+					onToggleOwnRules(idx, input.checked)
+				);
+
+				const controls = document.createElement('div');
+				controls.className = 'pass-controls';
+				controls.append(
+					createButton('Reroll rules', () => onRerollRules(idx), !pass.rules),
+					createButton('Reroll weights', () => onRerollWeights(idx), !pass.weights),
+					createButton('↑', () => movePass(idx, -1), idx === 0),
+					createButton('↓', () => movePass(idx, 1), idx === passes.length - 1),
+					createButton('Remove', () => onChange(passes.filter((_, i) => i !== idx)), passes.length === 1)
+				);
+
+				item.append(
+					heading,
+					createLabel('Grid size', gridSizeInput),
+					createLabel('Offset X', offsetInputs[0]),
+					createLabel('Offset Y', offsetInputs[1]),
+					createLabel('Neighborhood', neighborhoodSelect),
+					createLabel('Own rules and weights', ownRulesInput),
+					controls
+				);
+				return item;
+			})
+		);
+	}
+
+	container.querySelector('[data-action="add"]').addEventListener('click', () => {
+		onChange([...getPasses(), { gridSize: 1, offset: [0, 0] }]);
+	});
+	container.querySelector('[data-action="close"]').addEventListener('click', () => {
+		container.classList.remove('show');
+	});
+
+	return {
+		// Re-render if the passes change from elsewhere while open.
+		update() {
+			if (container.classList.contains('show')) render();
+		},
+		toggle() {
+			if (container.classList.toggle('show')) render();
+		},
+		hide() {
+			container.classList.remove('show');
+		},
+	};
+}
@@ -0,0 +1,110 @@
+import { getCssColor } from './colors.js';
+import { createButton } from './util.js';
+
+// Wire up the rule table overlay: one swatch per neighbor sum, colored by the
+// state it leads to. `getRuleTable` returns the current
+// { rules, nRules, minNeighborWeight, nStates, colors, lockedSums }, and
+// `getSumCounts` a Map of how many cells currently have each sum. `onChange`
+// is called with (ruleIdx, rule) when an entry is edited, and `onToggleLock`
+// with a sum when its entry is locked or unlocked.
+export function createRuleEditor({ container, getRuleTable, getSumCounts, onChange, onToggleLock }) {
+	const strip = container.querySelector('.rule-strip');
+	const details = container.querySelector('.rule-details');
+	let selectedSum = null;
+	let sumCounts = null;
+	// There can be tens of thousands of entries, so they’re kept between renders
+	// and only restyled. Each one stands for a rule index, whose sum moves with
+	// `minNeighborWeight`.
+	let entries = [];
+	let minNeighborWeight = 0;
+
+	function createEntry(ruleIdx) {
+		return createButton('', () => {
+			selectedSum = ruleIdx + minNeighborWeight;
+			render();
+		});
+	}
+
+	function describeRule(rule) {
+		return rule === 0 ? 'keep' : `state ${rule - 1}`;
+	}
+
+	function renderDetails(table) {
+		const { rules, minNeighborWeight, nStates, colors, lockedSums } = table;
+		const ruleIdx = selectedSum === null ? -1 : selectedSum - minNeighborWeight;
+		if (ruleIdx < 0 || ruleIdx >= table.nRules) {
+			details.replaceChildren('Click an entry to edit it.');
+			return;
+		}
+
+		const summary = document.createElement('p');
+		const count = sumCounts?.get(selectedSum) ?? 0;
+		summary.textContent = `Sum ${selectedSum}: ${describeRule(rules[ruleIdx])}${sumCounts ? ` (${count} cells)` : ''}`;
+
+		const targets = document.createElement('div');
+		targets.className = 'rule-targets';
+		const keepButton = createButton('Keep', () => onChange(ruleIdx, 0));
+		keepButton.classList.toggle('active', rules[ruleIdx] === 0);
+		targets.append(
+			keepButton,
+			...Array.from({ length: nStates }, (_, state) => {
+				const button = createButton('', () => onChange(ruleIdx, state + 1));
+				button.style.background = getCssColor(colors, state);
+				button.setAttribute('aria-label', `State ${state}`);
+				button.classList.toggle('active', rules[ruleIdx] === state + 1);
+				return button;
+			})
+		);
+
+		const lockButton = createButton(lockedSums.has(selectedSum) ? 'Unlock' : 'Lock', () => onToggleLock(selectedSum));
+		details.replaceChildren(summary, targets, lockButton);
+	}
+
+	function render() {
+		const table = getRuleTable();
+		const { rules, nRules, colors, lockedSums } = table;
+		({ minNeighborWeight } = table);
+		if (entries.length < nRules) {
+			const newEntries = Array.from({ length: nRules - entries.length }, (_, i) => createEntry(entries.length + i));
+			strip.append(...newEntries);
+			entries.push(...newEntries);
+		} else {
+			entries.splice(nRules).forEach(entry => entry.remove());
+		}
+		entries.forEach((entry, ruleIdx) => {
+			const sum = ruleIdx + minNeighborWeight;
+			const rule = rules[ruleIdx];
+			const count = sumCounts?.get(sum) ?? 0;
+			entry.style.background = rule === 0 ? '' : getCssColor(colors, rule - 1);
+			entry.classList.toggle('keep', rule === 0);
+			entry.classList.toggle('locked', lockedSums.has(sum));
+			entry.classList.toggle('unused', Boolean(sumCounts) && !count);
+			entry.classList.toggle('selected', sum === selectedSum);
+			entry.title = `Sum ${sum}: ${describeRule(rule)}${sumCounts ? ` (${count} cells)` : ''}`;
+		});
+		renderDetails(table);
+	}
+
+	function sample() {
+		sumCounts = getSumCounts();
+		render();
+	}
+
+	container.querySelector('[data-action="sample"]').addEventListener('click', sample);
+	container.querySelector('[data-action="close"]').addEventListener('click', () => {
+		container.classList.remove('show');
+	});
+
+	return {
+		// Re-render if the rules change from elsewhere while open.
+		update() {
+			if (container.classList.contains('show')) render();
+		},
+		toggle() {
+			if (container.classList.toggle('show')) sample();
+		},
+		hide() {
+			container.classList.remove('show');
+		},
+	};
+}
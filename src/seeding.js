@@ -0,0 +1,164 @@
+// Initial conditions for the grid. Each mode fills a row-major grid of states
+// (row 0 at the bottom, like the state textures). `density` is a number in
+// (0, 1] whose meaning depends on the mode, eg. the fraction of live cells or
+// the size of the seeded area.
+
+import { getRandomGrid } from './automaton.js';
+
+function randomLiveState(nStates, random) {
+	return 1 + Math.floor(random() * (nStates - 1));
+}
+
+// Fill the cells for which `isSeeded(x, y)` is true with random states, and
+// leave the rest at 0.
+function seedWhere(width, height, nStates, random, isSeeded) {
+	const grid = new Uint16Array(width * height);
+	for (let y = 0; y < height; ++y) {
+		for (let x = 0; x < width; ++x) {
+			if (isSeeded(x, y)) grid[y * width + x] = Math.floor(random() * nStates);
+		}
+	}
+	return grid;
+}
+
+// Fill the grid with noise that’s the same at every point in `getImages(x, y)`.
+function seedSymmetric(width, height, nStates, random, getImages) {
+	const grid = new Uint16Array(width * height);
+	const isSet = new Uint8Array(width * height);
+	for (let i = 0; i < grid.length; ++i) {
+		if (isSet[i]) continue;
+		const state = Math.floor(random() * nStates);
+		getImages(i % width, Math.floor(i / width)).forEach(([x, y]) => {
+			grid[y * width + x] = state;
+			isSet[y * width + x] = 1;
+		});
+	}
+	return grid;
+}
+
+// Quantize an RGBA image (already scaled to the grid, top row first) to the
+// nearest of the first `nStates` colors.
+function seedFromImage(width, height, nStates, image, colors) {
+	const grid = new Uint16Array(width * height);
+	for (let y = 0; y < height; ++y) {
+		for (let x = 0; x < width; ++x) {
+			const offset = (y * width + x) * 4;
+			const rgb = [0, 1, 2].map(i => image.data[offset + i] / 255);
+			let nearestState = 0;
+			let nearestDistance = Infinity;
+			for (let state = 0; state < nStates; ++state) {
+				const distance = rgb.reduce((sum, component, i) => sum + (component - colors[state * 3 + i]) ** 2, 0);
+				if (distance < nearestDistance) {
+					nearestState = state;
+					nearestDistance = distance;
+				}
+			}
+			grid[(height - 1 - y) * width + x] = nearestState;
+		}
+	}
+	return grid;
+}
+
+export const seedingModes = {
+	random: {
+		label: 'Random',
+		seed: (width, height, nStates, random) => getRandomGrid(width, height, nStates, random),
+	},
+	center: {
+		label: 'Single cell',
+		seed(width, height, nStates, random) {
+			const grid = new Uint16Array(width * height);
+			grid[Math.floor(height / 2) * width + Math.floor(width / 2)] = randomLiveState(nStates, random);
+			return grid;
+		},
+	},
+	sparse: {
+		label: 'Sparse',
+		seed(width, height, nStates, random, { density }) {
+			const grid = new Uint16Array(width * height);
+			for (let i = 0; i < grid.length; ++i) {
+				if (random() < density) grid[i] = randomLiveState(nStates, random);
+			}
+			return grid;
+		},
+	},
+	square: {
+		label: 'Central square',
+		seed(width, height, nStates, random, { density }) {
+			const halfSize = (Math.min(width, height) * density) / 2;
+			return seedWhere(width, height, nStates, random, (x, y) => {
+				return Math.abs(x + 0.5 - width / 2) <= halfSize && Math.abs(y + 0.5 - height / 2) <= halfSize;
+			});
+		},
+	},
+	disc: {
+		label: 'Central disc',
+		seed(width, height, nStates, random, { density }) {
+			const radius = (Math.min(width, height) * density) / 2;
+			return seedWhere(width, height, nStates, random, (x, y) => {
+				return Math.hypot(x + 0.5 - width / 2, y + 0.5 - height / 2) <= radius;
+			});
+		},
+	},
+	mirror: {
+		label: 'Mirrored noise',
+		seed(width, height, nStates, random) {
+			return seedSymmetric(width, height, nStates, random, (x, y) => [
+				[x, y],
+				[width - 1 - x, y],
+				[x, height - 1 - y],
+				[width - 1 - x, height - 1 - y],
+			]);
+		},
+	},
+	rotational: {
+		// A half turn works on any canvas; quarter turns would need a square one.
+		label: 'Rotated noise',
+		seed(width, height, nStates, random) {
+			return seedSymmetric(width, height, nStates, random, (x, y) => [
+				[x, y],
+				[width - 1 - x, height - 1 - y],
+			]);
+		},
+	},
+	stripes: {
+		label: 'Stripes',
+		seed(width, height, nStates, random, { density }) {
+			const grid = new Uint16Array(width * height);
+			for (let i = 0; i < grid.length; ++i) {
+				grid[i] = Math.floor((i % width) * density) % nStates;
+			}
+			return grid;
+		},
+	},
+	checkerboard: {
+		label: 'Checkerboard',
+		seed(width, height, nStates, random, { density }) {
+			const grid = new Uint16Array(width * height);
+			for (let i = 0; i < grid.length; ++i) {
+				const x = i % width;
+				const y = Math.floor(i / width);
+				grid[i] = (Math.floor(x * density) + Math.floor(y * density)) % nStates;
+			}
+			return grid;
+		},
+	},
+	image: {
+		// The image itself isn’t part of the configuration, so this falls back to random without one.
+		label: 'Image',
+		seed(width, height, nStates, random, { image, colors }) {
+			if (!image || !colors) return getRandomGrid(width, height, nStates, random);
+			return seedFromImage(width, height, nStates, image, colors);
+		},
+	},
+};
+
+export const SEEDING_MODE_NAMES = Object.keys(seedingModes);
+
+// Create a starting grid. `options` holds the `density`, and for the image
+// mode an `image` (RGBA ImageData-like, scaled to the grid) and `colors` (as
+// returned by `getColors`).
+export function getSeedGrid(width, height, nStates, random, mode = 'random', options = {}) {
+	const { seed } = seedingModes[mode] ?? seedingModes.random;
+	return seed(width, height, nStates, random, { ...options, density: options.density ?? 0.1 });
+}
@@ -0,0 +1,131 @@
+// Live statistics for the current run. Every few generations, the state is
+// read back along with the generation after it, to record the population of
+// each state and the fraction of cells that changed in one generation. The
+// samples are drawn as a stacked chart in the palette colors, and can be
+// downloaded as CSV.
+
+import { getChangedFraction, getStateCounts } from './metrics.js';
+import { downloadBlob } from './util.js';
+
+// Samples kept for the CSV; the chart shows the most recent ones that fit.
+const MAX_SAMPLES = 10000;
+const CHART_COLUMN_WIDTH = 2;
+
+// Wire up the statistics overlay. `getColors` returns the current colors (as
+// returned by `getColors` in colors.js), and `getExportName` the file name to
+// download the CSV as, without an extension.
+export function createStatistics({ container, getColors, getExportName }) {
+	const settings = { interval: 10 };
+	const chart = container.querySelector('.statistics-chart');
+	const context = chart.getContext('2d');
+	const summary = container.querySelector('.statistics-summary');
+	const intervalInput = container.querySelector('input[name="interval"]');
+	let samples = [];
+	// The first generation of a pair, waiting for the second.
+	let pendingRead = null;
+
+	intervalInput.value = settings.interval;
+	intervalInput.addEventListener('change', () => {
+		const interval = parseInt(intervalInput.value, 10);
+		if (interval >= 1) settings.interval = interval;
+		intervalInput.value = settings.interval;
+	});
+
+	function isOpen() {
+		return container.classList.contains('show');
+	}
+
+	function render() {
+		if (!isOpen()) return;
+		const colors = getColors();
+		const nColumns = Math.floor(chart.width / CHART_COLUMN_WIDTH);
+		const shownSamples = samples.slice(-nColumns);
+		context.clearRect(0, 0, chart.width, chart.height);
+
+		// Stack the states bottom to top, in state order.
+		shownSamples.forEach(({ counts, nCells }, column) => {
+			let y = chart.height;
+			counts.forEach((count, state) => {
+				const height = (count / nCells) * chart.height;
+				const [r, g, b] = [0, 1, 2].map(i => Math.round(colors[state * 3 + i] * 255));
+				context.fillStyle = `rgb(${r}, ${g}, ${b})`;
+				context.fillRect(column * CHART_COLUMN_WIDTH, y - height, CHART_COLUMN_WIDTH, height);
+				y -= height;
+			});
+		});
+
+		// Activity on top, as a line.
+		context.strokeStyle = '#fff';
+		context.lineWidth = 1.5;
+		context.beginPath();
+		shownSamples.forEach(({ activity }, column) => {
+			const x = (column + 0.5) * CHART_COLUMN_WIDTH;
+			const y = (1 - activity) * chart.height;
+			if (column) context.lineTo(x, y);
+			else context.moveTo(x, y);
+		});
+		context.stroke();
+
+		const latest = samples[samples.length - 1];
+		summary.textContent = latest
+			? `Generation ${latest.generation}: ${(latest.activity * 100).toFixed(2)}% of cells changing`
+			: 'Waiting for the first sample…';
+	}
+
+	function exportCsv() {
+		if (!samples.length) return;
+		const nStates = Math.max(...samples.map(({ counts }) => counts.length));
+		const header = ['generation', 'cells', 'activity', ...Array.from({ length: nStates }, (_, i) => `state ${i}`)];
+		const rows = samples.map(({ generation, nCells, activity, counts }) => [
+			generation,
+			nCells,
+			activity,
+			...Array.from({ length: nStates }, (_, i) => counts[i] ?? 0),
+		]);
+		const csv = [header, ...rows].map(row => row.join(',')).join('\n');
+		downloadBlob(new Blob([csv], { type: 'text/csv' }), `${getExportName()}-statistics.csv`);
+	}
+
+	container.querySelector('[data-action="export"]').addEventListener('click', exportCsv);
+	container.querySelector('[data-action="clear"]').addEventListener('click', () => {
+		samples = [];
+		render();
+	});
+	container.querySelector('[data-action="close"]').addEventListener('click', () => {
+		container.classList.remove('show');
+	});
+
+	return {
+		// Whether the state after `generation` should be read back and passed to `addGrid`.
+		wantsGeneration(generation) {
+			return isOpen() && generation % settings.interval <= 1;
+		},
+		addGrid(generation, grid, nStates) {
+			if (pendingRead?.generation === generation - 1 && pendingRead.grid.length === grid.length) {
+				samples.push({
+					generation,
+					nCells: grid.length,
+					activity: getChangedFraction(grid, pendingRead.grid),
+					counts: getStateCounts(grid, nStates),
+				});
+				samples = samples.slice(-MAX_SAMPLES);
+				render();
+			}
+			// With an interval of 1, every generation is also the first of the next pair.
+			pendingRead = generation % settings.interval === 0 ? { generation, grid } : null;
+		},
+		// Start over, eg. for a new grid.
+		reset() {
+			samples = [];
+			pendingRead = null;
+			render();
+		},
+		toggle() {
+			container.classList.toggle('show');
+			render();
+		},
+		hide() {
+			container.classList.remove('show');
+		},
+	};
+}
@@ -0,0 +1,129 @@
+// Undo / redo history. Each entry is an encoded configuration (the same format
+// as the URL hash), labeled with the message shown for the change if there was
+// one, or otherwise with a list of what changed.
+
+const MAX_ENTRIES = 100;
+// Changes to the same parameters in quick succession (eg. dragging a slider)
+// are merged into one entry.
+const MERGE_INTERVAL = 1000;
+
+const PARAM_LABELS = {
+	seed: 'seed',
+	states: 'states',
+	inertia: 'inertia',
+	range: 'neighbor range',
+	hood: 'neighborhood',
+	mask: 'neighborhood',
+	edges: 'edges',
+	border: 'border state',
+	palette: 'palette',
+	colors: 'palette',
+	fill: 'palette',
+	density: 'density',
+	dist: 'weights',
+	seeding: 'seeding',
+	seedDensity: 'seeding',
+	weights: 'weights',
+	rules: 'rules',
+	passes: 'passes',
+};
+
+function describeChange(previousConfig, config) {
+	const previousParams = new URLSearchParams(previousConfig);
+	const params = new URLSearchParams(config);
+	const keys = new Set([...previousParams.keys(), ...params.keys()]);
+	const labels = new Set(
+		[...keys].filter(key => previousParams.get(key) !== params.get(key)).map(key => PARAM_LABELS[key] ?? key)
+	);
+	const description = [...labels].join(', ');
+	return description.charAt(0).toUpperCase() + description.slice(1);
+}
+
+// Wire up the timeline overlay. `onApply` is called with an entry’s config
+// when undoing, redoing or jumping to it.
+export function createUndoHistory({ container, onApply }) {
+	const list = container.querySelector('.history-list');
+	let entries = [];
+	let idx = -1;
+	// Only label entries recorded during the current task, ie. by the same event handler.
+	let isLabelPending = false;
+
+	function render() {
+		if (!container.classList.contains('show')) return;
+		list.replaceChildren(
+			...entries
+				.map((entry, entryIdx) => {
+					const item = document.createElement('li');
+					const button = document.createElement('button');
+					button.textContent = entry.label;
+					button.classList.toggle('current', entryIdx === idx);
+					button.classList.toggle('undone', entryIdx > idx);
+					button.addEventListener('click', () => goTo(entryIdx));
+					item.append(button);
+					return item;
+				})
+				.reverse()
+		);
+	}
+
+	function goTo(newIdx) {
+		if (newIdx < 0 || newIdx >= entries.length || newIdx === idx) return null;
+		idx = newIdx;
+		onApply(entries[idx].config);
+		render();
+		return entries[idx];
+	}
+
+	container.querySelector('[data-action="close"]').addEventListener('click', () => {
+		container.classList.remove('show');
+	});
+
+	return {
+		// Record a configuration after a change. Anything that was undone is dropped.
+		record(config, label) {
+			const current = entries[idx];
+			if (current?.config === config) return;
+
+			const now = Date.now();
+			const description = current ? describeChange(current.config, config) : 'Start';
+			const previous = entries[idx - 1];
+			const canMerge =
+				current &&
+				previous &&
+				idx === entries.length - 1 &&
+				now - current.time < MERGE_INTERVAL &&
+				current.description === description;
+			if (canMerge) {
+				Object.assign(current, { config, time: now });
+			} else {
+				entries = [...entries.slice(0, idx + 1), { config, label: label ?? description, description, time: now }];
+				entries = entries.slice(-MAX_ENTRIES);
+				idx = entries.length - 1;
+			}
+			isLabelPending = true;
+			queueMicrotask(() => {
+				isLabelPending = false;
+			});
+			render();
+		},
+		// Label the entry just recorded, eg. with the message shown for it.
+		label(text) {
+			if (!isLabelPending) return;
+			entries[idx].label = text;
+			render();
+		},
+		undo() {
+			return goTo(idx - 1);
+		},
+		redo() {
+			return goTo(idx + 1);
+		},
+		toggle() {
+			container.classList.toggle('show');
+			render();
+		},
+		hide() {
+			container.classList.remove('show');
+		},
+	};
+}
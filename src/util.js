@@ -10,11 +10,81 @@ export function hexToNormalizedRGB(hex) {
 	return [r, g, b];
 }
 
+// Seedable PRNG (mulberry32). Returns a function with the same contract as
+// Math.random, so it can be passed anywhere Math.random would be used.
+export function createRandom(seed) {
+	let a = seed >>> 0;
+	return function random() {
+		a = (a + 0x6d2b79f5) >>> 0;
+		let t = a;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+// Generate a new 32-bit unsigned seed.
+export function randomSeed(random = Math.random) {
+	return Math.floor(random() * 4294967296) >>> 0;
+}
+
+// 32-bit FNV-1a hash of a byte array, eg. to detect repeated states.
+export function hashBytes(bytes) {
+	let hash = 0x811c9dc5;
+	for (let i = 0; i < bytes.length; ++i) {
+		hash ^= bytes[i];
+		hash = Math.imul(hash, 0x01000193);
+	}
+	return hash >>> 0;
+}
+
+// Flip a row-major array of `width`-long rows vertically. WebGL rows go bottom
+// to top, and most image formats go top to bottom.
+export function flipRows(array, width) {
+	const height = array.length / width;
+	const flipped = new array.constructor(array.length);
+	for (let y = 0; y < height; ++y) {
+		flipped.set(array.subarray(y * width, (y + 1) * width), (height - 1 - y) * width);
+	}
+	return flipped;
+}
+
+// Trigger a download of `blob` with the given filename.
+export function downloadBlob(blob, filename) {
+	const url = URL.createObjectURL(blob);
+	const link = document.createElement('a');
+	link.href = url;
+	link.download = filename;
+	link.click();
+	URL.revokeObjectURL(url);
+}
+
+// A button for the overlays and the control panel.
+export function createButton(text, onClick, disabled = false) {
+	const button = document.createElement('button');
+	button.textContent = text;
+	button.disabled = disabled;
+	button.addEventListener('click', onClick);
+	return button;
+}
+
+// Keep keys meant for a focused control from also triggering the keyboard
+// shortcuts bound on `window`: anything typed into a field, and Space or Enter
+// pressing a button.
+export function stopShortcutsInControls(root) {
+	root.addEventListener('keydown', e => {
+		const { tagName } = e.target;
+		const isField = tagName === 'INPUT' || tagName === 'SELECT' || tagName === 'TEXTAREA';
+		const isPress = tagName === 'BUTTON' && (e.code === 'Space' || e.code === 'Enter');
+		if (isField || isPress) e.stopPropagation();
+	});
+}
+
 // Shuffle an array in place.
-export function shuffleArray(array) {
+export function shuffleArray(array, random = Math.random) {
 	if (array.length <= 1) return;
 	for (let i = array.length - 1; i > 0; --i) {
-		const j = Math.floor(Math.random() * (i + 1));
+		const j = Math.floor(random() * (i + 1));
 		[array[i], array[j]] = [array[j], array[i]];
 	}
 }
@@ -0,0 +1,52 @@
+// Zoom, pan and tile preview for the display. Points on screen are fractions of
+// the canvas, from [0, 0] at the bottom left to [1, 1] at the top right. Points
+// in the grid are texture coordinates, which repeat every 1 since the display
+// wraps around.
+
+export const MAX_ZOOM = 64;
+// Copies of the grid shown across the screen in the tile preview.
+export const TILE_COUNTS = [1, 2, 3, 4, 5];
+
+function fract(n) {
+	return n - Math.floor(n);
+}
+
+export function createView() {
+	return { center: [0.5, 0.5], zoom: 1, tiles: 1, showGrid: false };
+}
+
+// Whether the grid fills the screen exactly once, like an export.
+export function isDefaultView({ center, zoom, tiles }) {
+	return zoom === 1 && tiles === 1 && center[0] === 0.5 && center[1] === 0.5;
+}
+
+// Texture coordinates per screen, along each axis.
+export function getViewScale({ zoom, tiles }) {
+	return tiles / zoom;
+}
+
+// The texture coordinates under a point on screen.
+export function screenToTexture(view, point) {
+	const scale = getViewScale(view);
+	return point.map((p, i) => (p - 0.5) * scale + view.center[i]);
+}
+
+// The cell under a point on screen, in a `width` × `height` grid.
+export function screenToCell(view, point, width, height) {
+	const [x, y] = screenToTexture(view, point);
+	return [Math.min(width - 1, Math.floor(fract(x) * width)), Math.min(height - 1, Math.floor(fract(y) * height))];
+}
+
+// Zoom by `factor`, keeping the point under `anchor` in place.
+export function zoomView(view, factor, anchor = [0.5, 0.5]) {
+	const before = screenToTexture(view, anchor);
+	view.zoom = Math.max(1, Math.min(MAX_ZOOM, view.zoom * factor));
+	const after = screenToTexture(view, anchor);
+	view.center = view.center.map((c, i) => fract(c + before[i] - after[i]));
+}
+
+// Move the grid by `delta` on screen, eg. while dragging.
+export function panView(view, delta) {
+	const scale = getViewScale(view);
+	view.center = view.center.map((c, i) => fract(c - delta[i] * scale));
+}
@@ -0,0 +1,63 @@
+import { getCssColor } from './colors.js';
+import { weightDistributions } from './weights.js';
+
+// Wire up the weights overlay: a slider per state, next to its palette swatch.
+// `getWeights` returns the current { weights, nStates, colors, weightsIdx }.
+// `onChange` is called with (state, weight) while a slider moves, and
+// `onDistribution` with an index into `weightDistributions` when one is picked.
+export function createWeightEditor({ container, maxWeight, getWeights, onChange, onDistribution }) {
+	const list = container.querySelector('.weight-list');
+	const distributionSelect = container.querySelector('select');
+	let rows = [];
+
+	distributionSelect.addEventListener('change', () => onDistribution(Number(distributionSelect.value)));
+
+	function createRow(state) {
+		const item = document.createElement('li');
+		const swatch = document.createElement('span');
+		swatch.className = 'swatch';
+		const input = document.createElement('input');
+		Object.assign(input, { type: 'range', min: -maxWeight, max: maxWeight, step: 0.05 });
+		input.setAttribute('aria-label', `State ${state} weight`);
+		input.addEventListener('input', () => onChange(state, Number(input.value)));
+		const output = document.createElement('output');
+		item.append(swatch, `${state}`, input, output);
+		return { item, swatch, input, output };
+	}
+
+	// Rows are kept between updates, so a slider isn’t replaced while dragging.
+	function render() {
+		const { weights, nStates, colors, weightsIdx } = getWeights();
+		if (rows.length !== nStates) {
+			rows = Array.from({ length: nStates }, (_, state) => createRow(state));
+			list.replaceChildren(...rows.map(({ item }) => item));
+		}
+		rows.forEach(({ swatch, input, output }, state) => {
+			swatch.style.background = getCssColor(colors, state);
+			input.value = weights[state];
+			output.textContent = weights[state].toFixed(2);
+		});
+
+		if (distributionSelect.options.length !== weightDistributions.length) {
+			distributionSelect.replaceChildren(...weightDistributions.map(({ label }, idx) => new Option(label, idx)));
+		}
+		distributionSelect.value = weightsIdx;
+	}
+
+	container.querySelector('[data-action="close"]').addEventListener('click', () => {
+		container.classList.remove('show');
+	});
+
+	return {
+		// Refresh if the weights or palette change from elsewhere while open.
+		update() {
+			if (container.classList.contains('show')) render();
+		},
+		toggle() {
+			if (container.classList.toggle('show')) render();
+		},
+		hide() {
+			container.classList.remove('show');
+		},
+	};
+}
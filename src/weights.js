@@ -0,0 +1,96 @@
+import { generateFurthestSubsequentDistanceArray } from './util.js';
+
+// The registry of weight generators. Each distribution fills `weights` in
+// place with values in [-maxWeight, maxWeight]. Only the first `nStates`
+// weights are used, so shapes that depend on the number of states repeat every
+// `nStates` entries. The index of a distribution is stored in share links, so
+// new ones should be added to the end.
+export const weightDistributions = [
+	{
+		label: '0, 1, 0, 1…',
+		generate(weights, maxWeight) {
+			for (let i = 0; i < weights.length; ++i) {
+				weights[i] = (i % 2) * maxWeight;
+			}
+		},
+	},
+	{
+		label: '0, 1, ½, ¾…',
+		generate(weights, maxWeight) {
+			weights.set(generateFurthestSubsequentDistanceArray(weights.length, [0, maxWeight]));
+		},
+	},
+	{
+		label: '0, ½, 1, ½, 0…',
+		generate(weights, maxWeight) {
+			const pattern = [0, 0.5, 1, 0.5, 0].map(n => n * maxWeight);
+			for (let i = 0; i < weights.length; ++i) {
+				weights[i] = pattern[i % pattern.length];
+			}
+		},
+	},
+	{
+		label: 'random',
+		generate(weights, maxWeight, random) {
+			for (let i = 0; i < weights.length; ++i) {
+				weights[i] = random() * maxWeight;
+			}
+		},
+	},
+	{
+		label: 'linear ramp',
+		generate(weights, maxWeight, random, nStates) {
+			for (let i = 0; i < weights.length; ++i) {
+				weights[i] = ((i % nStates) / Math.max(1, nStates - 1)) * maxWeight;
+			}
+		},
+	},
+	{
+		label: 'sine',
+		generate(weights, maxWeight, random, nStates) {
+			for (let i = 0; i < weights.length; ++i) {
+				weights[i] = ((1 - Math.cos((2 * Math.PI * i) / nStates)) / 2) * maxWeight;
+			}
+		},
+	},
+	{
+		label: '0, 1, ½, ¼…',
+		generate(weights, maxWeight, random, nStates) {
+			for (let i = 0; i < weights.length; ++i) {
+				const state = i % nStates;
+				weights[i] = state && maxWeight / Math.pow(2, state - 1);
+			}
+		},
+	},
+	{
+		label: 'random, ±',
+		generate(weights, maxWeight, random) {
+			for (let i = 0; i < weights.length; ++i) {
+				weights[i] = (random() * 2 - 1) * maxWeight;
+			}
+		},
+	},
+	{
+		// Count the neighbors in a single random state, like Life’s “alive” cells.
+		label: 'one-hot',
+		generate(weights, maxWeight, random, nStates) {
+			const hotState = 1 + Math.floor(random() * (nStates - 1));
+			for (let i = 0; i < weights.length; ++i) {
+				weights[i] = i % nStates === hotState ? Math.min(1, maxWeight) : 0;
+			}
+		},
+	},
+];
+
+// Add a weight generator to the registry, and return its index.
+export function registerWeightDistribution(distribution) {
+	weightDistributions.push(distribution);
+	return weightDistributions.length - 1;
+}
+
+// Fill `weights` using the distribution at `distributionIdx`, and return its label.
+export function fillWeights(weights, distributionIdx, maxWeight, random = Math.random, nStates = weights.length) {
+	const distribution = weightDistributions[distributionIdx];
+	distribution.generate(weights, maxWeight, random, nStates);
+	return distribution.label;
+}